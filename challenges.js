@@ -0,0 +1,248 @@
+/**
+ * Challenge Mode: Guided Exercises
+ *
+ * Overview:
+ * A lesson is a sequence of exercises. Each exercise has a title, instructions,
+ * an optional list of allowed palette items, an optional locked starting circuit
+ * (same layout as a saved circuit) and a list of goals checked against the engine
+ * after every solve.
+ *
+ * Lesson layout:
+ * { id, title, exercises: [{ id, title, instructions, palette: [types], circuit: { components, wires },
+ *   goals: [{ text, check }] }] }
+ *
+ * Goal checks (part = a component label such as 'R1', or a component type such as 'bulb'):
+ * - { kind: 'lit', part, all }             a matching part is on (every one with all: true)
+ * - { kind: 'current', part, min, max }    |I| through a matching part, in A
+ * - { kind: 'voltage', part, min, max }    |V| across a matching part, in V
+ * - { kind: 'count', part, min, max }      number of matching parts
+ * - { kind: 'intact' }                     no part is broken
+ * - { kind: 'truth', inputs, expect, output }
+ *       tries every combination of the matching switches / logic inputs and expects
+ *       the output check to follow expect ('and', 'or', 'xor', 'nand', 'nor') of the inputs that are on
+ */
+
+// --- Parts ---
+
+// Below this a part does not count as on
+const LIT_BULB_POWER = 0.1; // W
+const LIT_LED_CURRENT = 1e-3; // A
+const RUNNING_CURRENT = 0.01; // A, motors and buzzers
+
+// Inputs a truth check may flip, and more than this many is not tried
+const TRUTH_INPUT_TYPES = ['switch', 'pushbutton', 'logicinput'];
+const TRUTH_MAX_INPUTS = 4;
+
+const TRUTH_FUNCTIONS = {
+    and: (bits) => bits.every(Boolean),
+    or: (bits) => bits.some(Boolean),
+    xor: (bits) => bits.filter(Boolean).length % 2 === 1,
+    nand: (bits) => !bits.every(Boolean),
+    nor: (bits) => !bits.some(Boolean)
+};
+
+const GOAL_KINDS = ['lit', 'current', 'voltage', 'count', 'intact', 'truth'];
+
+function findParts(engine, part) {
+    return engine.components.filter(c => c.label === part || c.type === part);
+}
+
+// Whether a part is visibly doing its job: bulb lit, LED on, motor turning, probe at 1...
+function isPartOn(comp) {
+    if (comp.broken) return false;
+    switch (comp.type) {
+        case 'bulb':
+            return (comp.power || 0) >= LIT_BULB_POWER;
+        case 'led':
+            return (comp.current || 0) >= LIT_LED_CURRENT;
+        case 'motor':
+        case 'buzzer':
+            return Math.abs(comp.current || 0) >= RUNNING_CURRENT;
+        case 'logicprobe':
+        case 'logicinput':
+            return !!comp.high;
+        case 'relay':
+            return !!comp.energized;
+        default:
+            return Math.abs(comp.current || 0) >= LIT_LED_CURRENT;
+    }
+}
+
+function isInputOn(comp) {
+    return comp.type === 'logicinput' ? !!comp.high : !comp.isOpen;
+}
+
+function setInputOn(comp, on) {
+    if (comp.type === 'logicinput') comp.high = on;
+    else comp.isOpen = !on;
+}
+
+const inRange = (value, min = -Infinity, max = Infinity) => value >= min && value <= max;
+
+// --- Goals ---
+
+function checkGoal(engine, check) {
+    const parts = check.part !== undefined ? findParts(engine, check.part) : [];
+    switch (check.kind) {
+        case 'lit':
+            return parts.length > 0 && (check.all ? parts.every(isPartOn) : parts.some(isPartOn));
+        case 'current':
+            return parts.some(c => !c.broken && inRange(Math.abs(c.current || 0), check.min, check.max));
+        case 'voltage':
+            return parts.some(c => {
+                const v = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+                return inRange(Math.abs(v), check.min, check.max);
+            });
+        case 'count':
+            return inRange(parts.length, check.min, check.max);
+        case 'intact':
+            return !engine.components.some(c => c.broken);
+        case 'truth':
+            return checkTruth(engine, check);
+        default:
+            return false;
+    }
+}
+
+// Flips the inputs through every combination, then puts them and the solver state (damage, relays...) back
+function checkTruth(engine, check) {
+    const inputs = (check.inputs !== undefined ? findParts(engine, check.inputs) : [])
+        .filter(c => TRUTH_INPUT_TYPES.includes(c.type));
+    const expect = TRUTH_FUNCTIONS[check.expect];
+    if (inputs.length === 0 || inputs.length > TRUTH_MAX_INPUTS || !expect || !check.output) return false;
+
+    const savedInputs = inputs.map(isInputOn);
+    const savedState = engine.captureState();
+
+    let ok = true;
+    for (let row = 0; row < (1 << inputs.length) && ok; row++) {
+        const bits = inputs.map((c, i) => ((row >> i) & 1) === 1);
+        inputs.forEach((c, i) => setInputOn(c, bits[i]));
+        engine.solve();
+        ok = checkGoal(engine, check.output) === expect(bits);
+    }
+
+    inputs.forEach((c, i) => setInputOn(c, savedInputs[i]));
+    engine.restoreState(savedState);
+    engine.solve();
+    return ok;
+}
+
+// One boolean per goal of the exercise, in order
+function evaluateExercise(engine, exercise) {
+    const results = exercise.goals.map(goal => checkGoal(engine, goal.check));
+    return { results, done: results.every(Boolean) };
+}
+
+// --- Lessons ---
+
+// Throws with a message for the user when a lesson file does not follow the layout above
+function validateLesson(lesson) {
+    if (!lesson || typeof lesson.title !== 'string' || !Array.isArray(lesson.exercises) || lesson.exercises.length === 0) {
+        throw new Error('La lección necesita un título y al menos un ejercicio.');
+    }
+    lesson.exercises.forEach((ex, i) => {
+        const where = `Ejercicio ${i + 1}`;
+        if (typeof ex.title !== 'string' || !Array.isArray(ex.goals) || ex.goals.length === 0) {
+            throw new Error(`${where}: falta el título o los objetivos.`);
+        }
+        if (ex.palette !== undefined && !Array.isArray(ex.palette)) {
+            throw new Error(`${where}: la paleta debe ser una lista de tipos de componente.`);
+        }
+        if (ex.circuit !== undefined && !Array.isArray(ex.circuit.components)) {
+            throw new Error(`${where}: el circuito inicial no tiene componentes.`);
+        }
+        ex.goals.forEach(goal => {
+            if (!goal || typeof goal.text !== 'string') {
+                throw new Error(`${where}: cada objetivo necesita un texto.`);
+            }
+            if (!goal.check || !GOAL_KINDS.includes(goal.check.kind)) {
+                throw new Error(`${where}: objetivo desconocido "${goal.check ? goal.check.kind : ''}".`);
+            }
+        });
+    });
+    return lesson;
+}
+
+const LESSONS = [
+    {
+        id: 'primeros-circuitos',
+        title: 'Primeros circuitos',
+        exercises: [
+            {
+                id: 'bombilla',
+                title: 'Enciende la bombilla',
+                instructions: 'Conecta una pila, un interruptor y una bombilla en un circuito cerrado. Cierra el interruptor para encenderla.',
+                palette: ['battery', 'bulb', 'switch'],
+                goals: [
+                    { text: 'Hay un interruptor en el circuito', check: { kind: 'count', part: 'switch', min: 1 } },
+                    { text: 'La bombilla está encendida', check: { kind: 'lit', part: 'bulb' } },
+                    { text: 'No se ha roto nada', check: { kind: 'intact' } }
+                ]
+            },
+            {
+                id: 'corriente',
+                title: 'Ajusta la corriente',
+                instructions: 'Cierra el circuito de la pila B1 y el amperímetro A1 con una resistencia. Elige su valor para que circulen entre 20 y 30 mA.',
+                palette: ['resistor', 'potentiometer'],
+                circuit: {
+                    components: [
+                        { id: 'b1', type: 'battery', x: 200, y: 260, voltage: 9, label: 'B1' },
+                        { id: 'a1', type: 'ammeter', x: 360, y: 160, label: 'A1' }
+                    ],
+                    wires: [{ from: { id: 'b1', terminal: 0 }, to: { id: 'a1', terminal: 0 } }]
+                },
+                goals: [
+                    { text: 'Circula corriente por el amperímetro', check: { kind: 'current', part: 'A1', min: 0.001 } },
+                    { text: 'La corriente está entre 20 y 30 mA', check: { kind: 'current', part: 'A1', min: 0.02, max: 0.03 } },
+                    { text: 'No se ha roto nada', check: { kind: 'intact' } }
+                ]
+            },
+            {
+                id: 'and-interruptores',
+                title: 'Dos interruptores en serie',
+                instructions: 'Monta un circuito en el que el LED solo se encienda cuando los dos interruptores estén cerrados. ¡Protege el LED con una resistencia!',
+                palette: ['battery', 'switch', 'led', 'resistor'],
+                goals: [
+                    { text: 'Hay dos interruptores', check: { kind: 'count', part: 'switch', min: 2, max: 2 } },
+                    {
+                        text: 'El LED se enciende solo con los dos cerrados',
+                        check: { kind: 'truth', inputs: 'switch', expect: 'and', output: { kind: 'lit', part: 'led' } }
+                    },
+                    { text: 'No se ha roto nada', check: { kind: 'intact' } }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'logica',
+        title: 'Electrónica digital',
+        exercises: [
+            {
+                id: 'xor',
+                title: 'O exclusiva sin puerta XOR',
+                instructions: 'La sonda S debe encenderse cuando A o B estén a 1, pero no las dos a la vez. Usa solo puertas AND, OR y NOT.',
+                palette: ['and', 'or', 'not'],
+                circuit: {
+                    components: [
+                        { id: 'a', type: 'logicinput', x: 120, y: 160, label: 'A' },
+                        { id: 'b', type: 'logicinput', x: 120, y: 320, label: 'B' },
+                        { id: 's', type: 'logicprobe', x: 560, y: 240, label: 'S' }
+                    ],
+                    wires: []
+                },
+                goals: [
+                    {
+                        text: 'S sigue la tabla de verdad de la XOR',
+                        check: { kind: 'truth', inputs: 'logicinput', expect: 'xor', output: { kind: 'lit', part: 'S' } }
+                    }
+                ]
+            }
+        ]
+    }
+];
+
+// --- Module Export ---
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LESSONS, findParts, isPartOn, checkGoal, evaluateExercise, validateLesson };
+}
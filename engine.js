@@ -27,11 +27,16 @@ class Matrix {
 }
 
 // Gaussian Elimination Solver
-function solveLinearSystem(A, B) {
+// If `info` is given it receives { singular, condition }: whether a pivot vanished,
+// and the ratio between the largest and smallest pivot (a rough condition estimate).
+function solveLinearSystem(A, B, info) {
     const n = A.rows; // Assume square A
     const x = Array(n).fill(0);
     const M = JSON.parse(JSON.stringify(A.data)); // Deep copy A
     const R = [...B]; // Copy B
+    let singular = false;
+    let maxPivot = 0;
+    let minPivot = Infinity;
 
     // Forward elimination
     for (let i = 0; i < n; i++) {
@@ -48,7 +53,13 @@ function solveLinearSystem(A, B) {
         [R[i], R[maxRow]] = [R[maxRow], R[i]];
 
         // Make triangular
-        if (Math.abs(M[i][i]) < 1e-10) continue; // Singular or near-singular
+        const pivot = Math.abs(M[i][i]);
+        if (pivot < 1e-10) { // Singular or near-singular
+            singular = true;
+            continue;
+        }
+        if (pivot > maxPivot) maxPivot = pivot;
+        if (pivot < minPivot) minPivot = pivot;
 
         for (let k = i + 1; k < n; k++) {
             const factor = M[k][i] / M[i][i];
@@ -69,9 +80,174 @@ function solveLinearSystem(A, B) {
         x[i] = (R[i] - sum) / M[i][i];
     }
 
+    if (info) {
+        info.singular = singular;
+        info.condition = (minPivot === Infinity) ? 1 : maxPivot / minPivot;
+    }
     return x;
 }
 
+// --- Semiconductor Models ---
+
+const THERMAL_VOLTAGE = 0.025852; // kT/q at 300 K
+const DIODE_GMIN = 1e-12; // Keeps reverse-biased junctions from leaving nodes floating
+const DIODE_MAX_CURRENT = 10; // Above this the exponential is continued as a straight line
+
+// Forward voltage of each LED colour at its 20mA test current
+const LED_COLORS = {
+    red: { vf: 1.8 },
+    green: { vf: 2.2 },
+    blue: { vf: 3.2 },
+    white: { vf: 3.1 }
+};
+
+// Shockley parameters: saturation current (is) and emission coefficient (n)
+function getDiodeParams(comp) {
+    if (comp.type === 'led') {
+        const n = 2;
+        const vf = (LED_COLORS[comp.color] || LED_COLORS.red).vf;
+        return { is: 0.02 / (Math.exp(vf / (n * THERMAL_VOLTAGE)) - 1), n };
+    }
+    return { is: 2.52e-9, n: 1.752 }; // 1N4148-like silicon diode
+}
+
+// Diode current and small-signal conductance at junction voltage vd
+function evalDiode(vd, p) {
+    const nVt = p.n * THERMAL_VOLTAGE;
+    const vMax = nVt * Math.log(DIODE_MAX_CURRENT / p.is);
+    if (vd > vMax) {
+        const g = DIODE_MAX_CURRENT / nVt;
+        return { i: DIODE_MAX_CURRENT - p.is + g * (vd - vMax) + DIODE_GMIN * vd, g: g + DIODE_GMIN };
+    }
+    const e = Math.exp(vd / nVt);
+    return { i: p.is * (e - 1) + DIODE_GMIN * vd, g: p.is * e / nVt + DIODE_GMIN };
+}
+
+// SPICE-style junction voltage limiting: keeps Newton-Raphson steps from overshooting the exponential
+function limitJunctionVoltage(vNew, vOld, p) {
+    const nVt = p.n * THERMAL_VOLTAGE;
+    const vCrit = nVt * Math.log(nVt / (Math.SQRT2 * p.is));
+    if (vNew > vCrit && Math.abs(vNew - vOld) > 2 * nVt) {
+        if (vOld > 0) {
+            const arg = 1 + (vNew - vOld) / nVt;
+            return arg > 0 ? vOld + nVt * Math.log(arg) : vCrit;
+        }
+        return nVt * Math.log(vNew / nVt);
+    }
+    return vNew;
+}
+
+// --- Transistor Models ---
+
+// BJT junctions: small-signal silicon transistor (2N2222 / 2N3906-like)
+const BJT_JUNCTION = { is: 1e-14, n: 1 };
+const BJT_BETA_R = 1; // Reverse current gain
+const MOSFET_GDS_MIN = 1e-9; // Keeps an off drain from floating
+
+/**
+ * Ebers-Moll BJT at junction voltages vbe, vbc (both positive when forward biased, for NPN and PNP).
+ * Terminals: 0 = collector, 1 = emitter, 2 = base.
+ * Returns the current into each terminal, its derivatives against the terminal voltages and the region.
+ */
+function evalBjt(comp, vbe, vbc) {
+    const p = (comp.type === 'pnp') ? -1 : 1;
+    const bf = comp.beta;
+    const f = evalDiode(vbe, BJT_JUNCTION);
+    const r = evalDiode(vbc, BJT_JUNCTION);
+    const ic = f.i - r.i * (1 + 1 / BJT_BETA_R);
+    const ib = f.i / bf + r.i / BJT_BETA_R;
+
+    // d(vbe)/dv and d(vbc)/dv over [vC, vE, vB]; the polarity sign cancels out
+    const dBE = [0, -1, 1];
+    const dBC = [-1, 0, 1];
+    const jC = dBE.map((d, k) => f.g * d - r.g * (1 + 1 / BJT_BETA_R) * dBC[k]);
+    const jB = dBE.map((d, k) => f.g / bf * d + r.g / BJT_BETA_R * dBC[k]);
+    const jE = jC.map((d, k) => -(d + jB[k]));
+
+    let region = 'active';
+    if (vbe < 0.5) region = 'cutoff';
+    else if (ic < 0.9 * bf * ib) region = 'saturation';
+
+    return { i: [p * ic, -p * (ic + ib), p * ib], jac: [jC, jE, jB], region };
+}
+
+/**
+ * Square-law (level 1) N-channel MOSFET at vgs, vds.
+ * Terminals: 0 = drain, 1 = source, 2 = gate. Regions: 'cutoff', 'ohmic', 'saturation'.
+ */
+function evalMosfet(comp, vgs, vds) {
+    if (vds < 0) {
+        // Symmetric device: drain and source swap roles
+        const rev = evalMosfet(comp, vgs - vds, -vds);
+        const swap = [1, 0, 2];
+        return { i: swap.map(k => rev.i[k]), jac: swap.map(k => swap.map(j => rev.jac[k][j])), region: rev.region };
+    }
+
+    const vov = vgs - comp.vth;
+    let id = 0;
+    let gm = 0;
+    let gds = 0;
+    let region = 'cutoff';
+    if (vov > 0 && vds < vov) {
+        region = 'ohmic';
+        id = comp.kp * (vov * vds - vds * vds / 2);
+        gm = comp.kp * vds;
+        gds = comp.kp * (vov - vds);
+    } else if (vov > 0) {
+        region = 'saturation';
+        id = comp.kp / 2 * vov * vov;
+        gm = comp.kp * vov;
+    }
+    id += MOSFET_GDS_MIN * vds;
+    gds += MOSFET_GDS_MIN;
+
+    // d(id) over [vD, vS, vG]
+    const jD = [gds, -gm - gds, gm];
+    return { i: [id, -id, 0], jac: [jD, jD.map(d => -d), [0, 0, 0]], region };
+}
+
+// --- Digital Logic ---
+
+// 5V logic family. Every logic part is powered from an implicit supply whose 0V is its island's reference.
+const LOGIC_HIGH = 5; // V
+const LOGIC_THRESHOLD = 2.5; // V: inputs above read as 1
+const LOGIC_OUTPUT_RESISTANCE = 200; // Ω: an LED can hang straight off an output
+const LOGIC_INPUT_RESISTANCE = 1e6; // Ω to 0V
+const LOGIC_MAX_SWITCHES = 10; // Output changes per step before a gate stops following (oscillating loops)
+
+// Boolean function of each gate. Terminals: inputs first, output last.
+const LOGIC_GATES = {
+    and: (a, b) => a && b,
+    or: (a, b) => a || b,
+    not: (a) => !a,
+    nand: (a, b) => !(a && b),
+    nor: (a, b) => !(a || b),
+    xor: (a, b) => a !== b
+};
+
+// Parts that drive a logic level: gates and toggle inputs
+function isLogicSource(type) {
+    return Object.prototype.hasOwnProperty.call(LOGIC_GATES, type) || type === 'logicinput';
+}
+
+// --- Multimeter ---
+
+// How the meter looks to the circuit in each mode ('voltage', 'current', 'resistance', 'continuity')
+const METER_VOLTAGE_RESISTANCE = 10e6; // Ω across the leads in V DC
+const METER_SHUNT_RESISTANCE = 0.01; // Ω in A DC, behind a fuse (maxCurrent)
+const METER_TEST_CURRENT = 1e-3; // A pushed out of the red lead in Ω / continuity
+const METER_TEST_RESISTANCE = 3000; // Ω in parallel with the test source: 3V with the leads open
+const CONTINUITY_THRESHOLD = 50; // Ω: continuity mode beeps below this
+
+// Resistance between the leads from the voltage the test current produces.
+// Infinity when the leads are open, NaN when another source drives the circuit backwards.
+function getOhmmeterReading(v) {
+    const iOut = METER_TEST_CURRENT - v / METER_TEST_RESISTANCE; // Part of the test current leaving the meter
+    if (v < -1e-9) return NaN;
+    if (iOut <= 1e-12) return Infinity;
+    return Math.max(v, 0) / iOut;
+}
+
 // --- Circuit Elements ---
 
 class Node {
@@ -80,13 +256,260 @@ class Node {
         this.voltage = 0;
         this.connections = []; // Components connected to this node
         this.isGND = false; // Ground reference
+        this.autoGround = false; // Reference picked by the engine (no ground symbol in its island)
+        this.island = 0; // Index of the connected sub-circuit this node belongs to
+    }
+}
+
+// Number of terminals (and therefore nodes) of each component type
+function getTerminalCount(type) {
+    if (type === 'ground' || type === 'logicinput' || type === 'logicprobe') return 1;
+    if (type === 'not') return 2;
+    if (Object.prototype.hasOwnProperty.call(LOGIC_GATES, type)) return 3;
+    if (type === 'spdt' || type === 'potentiometer') return 3;
+    if (type === 'npn' || type === 'pnp' || type === 'nmos') return 3;
+    if (type === 'relay') return 5;
+    return 2;
+}
+
+// --- Battery Model ---
+
+// Typical cells: nominal voltage, internal resistance (Ω) and capacity (mAh)
+const BATTERY_PRESETS = {
+    aa: { voltage: 1.5, resistance: 0.15, capacity: 2500 },
+    '9v': { voltage: 9, resistance: 1.7, capacity: 550 },
+    lipo: { voltage: 3.7, resistance: 0.05, capacity: 1000 }
+};
+
+// Open-circuit voltage: nearly flat while charged, collapsing when the cell is empty.
+// A battery without capacity (0) never runs down.
+function getBatteryEmf(comp) {
+    if (!comp.capacity) return comp.voltage;
+    const soc = Math.max(comp.charge, 0) / comp.capacity;
+    return comp.voltage * Math.min(1, 0.85 + 0.15 * soc) * Math.min(1, soc / 0.05);
+}
+
+// Internal resistance the solver uses, including a hidden 'dead' fault
+function getBatteryResistance(comp) {
+    return comp.fault === 'dead' ? DEAD_BATTERY_RESISTANCE : (comp.resistance || 0);
+}
+
+const PARALLEL_EMF_TOLERANCE = 0.01; // V: cells in parallel closer than this share the load without fighting
+
+// --- Hidden Faults ---
+// For "find the broken part" exercises: a fault changes what the solver sees while the part
+// keeps its normal look and nominal values. Wires can only have an 'open' fault.
+
+const FAULT_SHORT_RESISTANCE = 0.001; // Ω across a shorted part
+const FAULT_DRIFT_FACTOR = 10; // A drifted part has this many times its nominal resistance
+const DEAD_BATTERY_RESISTANCE = 500; // Ω: a flat cell still reads its voltage with nothing connected
+
+// Faults that make sense for each kind of part
+function getFaultTypes(type) {
+    switch (type) {
+        case 'battery':
+            return ['dead'];
+        case 'led':
+        case 'diode':
+            return ['open', 'short', 'reversed'];
+        case 'resistor':
+        case 'bulb':
+        case 'ldr':
+        case 'motor':
+        case 'buzzer':
+            return ['open', 'short', 'drift'];
+        case 'switch':
+        case 'pushbutton':
+        case 'fuse':
+        case 'ammeter':
+        case 'capacitor':
+        case 'inductor':
+        case 'joint':
+            return ['open', 'short'];
+        default:
+            return [];
+    }
+}
+
+// --- Damage Model ---
+
+// A broken part (burnt filament, blown fuse...) is an open circuit
+const BROKEN_RESISTANCE = 1e9;
+
+// How hard a part is pushed relative to its rating: above 1 it breaks.
+// Parts without a rating (0 or undefined) never break.
+function getDamageStress(comp) {
+    if (comp.broken || comp.fault) return 0; // A faulty part fails the way the fault says
+    const v = (comp.nodes[0] ? comp.nodes[0].voltage : 0) - (comp.nodes[1] ? comp.nodes[1].voltage : 0);
+    const i = comp.current || 0;
+    switch (comp.type) {
+        case 'bulb':
+        case 'motor':
+        case 'resistor':
+            return comp.maxPower > 0 ? Math.abs(v * i) / comp.maxPower : 0;
+        case 'led':
+        case 'fuse':
+            return comp.maxCurrent > 0 ? Math.abs(i) / comp.maxCurrent : 0;
+        case 'multimeter':
+            // Only the current range has a fuse in the signal path
+            return (comp.mode === 'current' && comp.maxCurrent > 0) ? Math.abs(i) / comp.maxCurrent : 0;
+        default:
+            return 0;
+    }
+}
+
+// Paths below this resistance count as a short circuit in the diagnostics
+const SHORT_RESISTANCE = 0.01;
+
+// Relay coil resistance as solved: clamped like any other resistance (and a NaN typed in the panel with it)
+function getCoilResistance(comp) {
+    return comp.resistance > 1e-6 ? comp.resistance : 1e-6;
+}
+
+// Terminals normal use may leave unconnected: a relay's NO / NC contact, an SPDT throw,
+// a potentiometer end (rheostat)
+function isOptionalTerminal(comp, k) {
+    switch (comp.type) {
+        case 'relay': return k >= 3;
+        case 'spdt': return k >= 1;
+        case 'potentiometer': return k <= 1;
+        default: return false;
+    }
+}
+
+// Terminal pairs of a component that are (almost) zero-resistance connections right now
+function getShortPaths(comp) {
+    if (comp.broken || comp.fault === 'open') return [];
+    switch (comp.type) {
+        case 'switch':
+        case 'pushbutton':
+            return comp.isOpen ? [] : [[0, 1]];
+        case 'ammeter':
+        case 'joint':
+            return [[0, 1]];
+        case 'multimeter':
+            return comp.mode === 'current' ? [[0, 1]] : [];
+        case 'spdt':
+            return [[0, comp.spdtState === 0 ? 1 : 2]];
+        case 'relay':
+            return [[2, comp.energized ? 3 : 4]];
+        case 'potentiometer': {
+            const [rAW, rWB] = getPotResistances(comp);
+            const paths = [];
+            if (rAW < SHORT_RESISTANCE) paths.push([0, 2]);
+            if (rWB < SHORT_RESISTANCE) paths.push([2, 1]);
+            return paths;
+        }
+        case 'resistor':
+        case 'bulb':
+        case 'ldr':
+        case 'motor':
+        case 'buzzer':
+        case 'fuse':
+            return comp.resistance < SHORT_RESISTANCE ? [[0, 1]] : [];
+        default:
+            return [];
+    }
+}
+
+// Potentiometer track split by the wiper: [R(A-W), R(W-B)], always summing to maxResistance
+function getPotResistances(comp) {
+    const pos = Math.min(Math.max(comp.wiperPos, 0), 1);
+    return [
+        Math.max(comp.maxResistance * pos, 1e-3),
+        Math.max(comp.maxResistance * (1 - pos), 1e-3)
+    ];
+}
+
+// --- Kirchhoff Analysis ---
+
+// Current flowing INTO each terminal of a component after the last solve (A).
+// Two-terminal parts carry comp.current in at T0 and out at T1.
+function getTerminalCurrents(comp) {
+    if (comp.terminalCurrents) return comp.terminalCurrents;
+    const i = comp.current || 0;
+    if (comp.nodes.length === 1) return [0];
+    if (comp.type === 'spdt') {
+        const out = [i, 0, 0];
+        out[comp.spdtState === 0 ? 1 : 2] = -i;
+        return out;
+    }
+    return [i, -i];
+}
+
+// Resistance the solver uses for a plain resistive part: drift fault, switch state, clamped away from 0
+function getSolvedResistance(comp) {
+    let R = comp.resistance;
+    if (comp.fault === 'drift') R *= FAULT_DRIFT_FACTOR;
+    if (comp.type === 'switch' || comp.type === 'pushbutton') R = comp.isOpen ? 1e9 : 0.001;
+    return R > 1e-6 ? R : 1e-6;
+}
+
+// Junction voltage at which the diode model carries current i (Newton from the last operating point)
+function getDiodeVoltage(i, p, start = 0) {
+    let vd = start;
+    for (let k = 0; k < 50; k++) {
+        const d = evalDiode(vd, p);
+        const step = (d.i - i) / d.g;
+        vd -= step;
+        if (Math.abs(step) < 1e-12) break;
     }
+    return vd;
+}
+
+/**
+ * V(T0) - V(T1) of a two-terminal part worked out from its own model and current (I·R, EMF + R·I,
+ * the diode equation) rather than from its node voltages, so a KVL sum over these tests the solution.
+ * Null for the parts without such a model (multi-terminal parts, logic, capacitors and inductors).
+ */
+function getBranchVoltage(comp) {
+    const i = comp.current || 0;
+    if (comp.type === 'multimeter') {
+        if (comp.mode === 'current') return i * (comp.broken ? BROKEN_RESISTANCE : METER_SHUNT_RESISTANCE);
+        if (comp.mode === 'voltage') return i * METER_VOLTAGE_RESISTANCE;
+        return (i + METER_TEST_CURRENT) * METER_TEST_RESISTANCE;
+    }
+    if (comp.nodes.length !== 2 && comp.type !== 'relay') return null;
+    if (comp.broken || comp.fault === 'open') return i * BROKEN_RESISTANCE;
+    if (comp.fault === 'short') return i * FAULT_SHORT_RESISTANCE;
+    switch (comp.type) {
+        case 'battery':
+            return getBatteryEmf(comp) + getBatteryResistance(comp) * i;
+        case 'relay':
+            return i * getCoilResistance(comp);
+        case 'led':
+        case 'diode': {
+            const p = getDiodeParams(comp);
+            return comp.fault === 'reversed' ? -getDiodeVoltage(-i, p, comp.vd || 0) : getDiodeVoltage(i, p, comp.vd || 0);
+        }
+        case 'capacitor':
+        case 'inductor':
+        case 'ground':
+        case 'logicprobe':
+            return null;
+        default:
+            return LOGIC_GATES[comp.type] || isLogicSource(comp.type) ? null : i * getSolvedResistance(comp);
+    }
+}
+
+// Power absorbed by a component (W, negative when it delivers energy): sum of V·I over its terminals
+function getComponentPower(comp) {
+    const currents = getTerminalCurrents(comp);
+    return comp.nodes.reduce((p, n, k) => p + (n ? n.voltage : 0) * (currents[k] || 0), 0);
+}
+
+// Parts that feed energy into the circuit: batteries, and logic parts through their implicit supply
+function isEnergySource(comp) {
+    return comp.type === 'battery' || isLogicSource(comp.type);
 }
 
 class Component {
     constructor(id, type, x, y) {
         this.id = id;
-        this.type = type; // 'resistor', 'battery', 'switch', 'bulb', 'wire', 'led', 'pushbutton', 'joint', 'voltmeter', 'ammeter'
+        // 'resistor', 'battery', 'switch', 'bulb', 'wire', 'led', 'diode', 'pushbutton', 'joint', 'voltmeter', 'ammeter', 'ground',
+        // 'fuse', 'npn', 'pnp', 'nmos', 'relay', 'and', 'or', 'not', 'nand', 'nor', 'xor', 'logicinput', 'logicprobe',
+        // 'multimeter'
+        this.type = type;
         this.x = x;
         this.y = y;
         this.rotation = 0; // 0, 1, 2, 3 (x90 degrees)
@@ -96,16 +519,38 @@ class Component {
         this.resistance = 10; // Default Ohm
         this.voltage = 0; // Default Volts (for sources)
         this.isOpen = false; // For switches
+        this.broken = false; // Overstressed: stays an open circuit until repaired
+
+        // Energy accounting, refreshed by the engine
+        this.power = 0; // W absorbed right now (negative while delivering)
+        this.energy = 0; // J absorbed since the simulation started
     }
 }
 
+// Component fields a solve leaves behind for the next one (see CircuitEngine.captureState)
+const SOLVE_STATE_PROPS = ['broken', 'energized', 'high', 'vd', 'vbe', 'vbc', 'vgs', 'vds', 'region'];
+
 class CircuitEngine {
     constructor() {
         this.nodes = [];
         this.components = [];
-        this.wires = []; // UI representation of wires, logically they merge nodes
+        this.wires = []; // { startComp, startTerm, endComp, endTerm, fault }: each one merges two terminal nodes
+        this.faultNodes = new Set(); // Nodes at the ends of wires with a hidden open fault
         this.nodeCounter = 0;
         this.compCounter = 0;
+
+        // Transient (time-domain) state
+        this.time = 0; // Simulated seconds since start
+        this.maxTimeStep = 1 / 240; // Largest sub-step used when advancing time
+
+        // Newton-Raphson report of the last solve
+        this.solveCount = 0; // Bumped by every solve(), so the UI can tell a new solution apart
+        this.converged = true;
+        this.iterations = 0;
+
+        // Health of the last linear solve and problems found by diagnose()
+        this.matrixInfo = { singular: false, condition: 1 };
+        this.diagnostics = []; // [{ code, components, nodes }]
     }
 
     addComponent(type, x, y) {
@@ -114,15 +559,21 @@ class CircuitEngine {
 
         // Initialize logic for specific types
         if (type === 'battery') {
-            comp.voltage = 9;
-            comp.resistance = 0.1; // small internal R
+            comp.voltage = 9; // Nominal (fully charged) voltage
+            comp.resistance = 0.1; // Internal R, in series with the ideal source
+            comp.preset = 'custom'; // Key of BATTERY_PRESETS or 'custom'
+            comp.capacity = 0; // mAh, 0 = never runs down
+            comp.charge = 0; // mAh left
+            comp.drainScale = 1; // Simulated seconds of drain per second of time
         } else if (type === 'bulb') {
             comp.resistance = 50;
+            comp.maxPower = 3; // W: the filament burns out above ~12V
         } else if (type === 'switch') {
             comp.resistance = 0.001; // closed resistance
             comp.isOpen = true; // starts open
         } else if (type === 'resistor') {
             comp.resistance = 100;
+            comp.maxPower = 1; // W, 0 = never burns
         } else if (type === 'voltmeter') {
             comp.resistance = 1e9; // "Infinite" resistance
         } else if (type === 'ammeter') {
@@ -130,7 +581,35 @@ class CircuitEngine {
         } else if (type === 'joint') {
             comp.resistance = 0.001; // "Zero" resistance connectivity point
         } else if (type === 'led') {
-            comp.resistance = 10; // Low resistance but need protection resistor usually!
+            comp.color = 'red'; // Key of LED_COLORS, sets the forward voltage
+            comp.maxCurrent = 0.02; // A
+        } else if (type === 'motor') {
+            comp.maxPower = 10; // W: the winding burns out above ~10V
+        } else if (type === 'fuse') {
+            comp.resistance = 0.05;
+            comp.maxCurrent = 1; // A, blows above this
+        } else if (type === 'relay') {
+            // Terminals: coil+ (node 0), coil- (node 1), common (node 2), NO (node 3), NC (node 4)
+            comp.resistance = 100; // Coil
+            comp.pickupCurrent = 0.03; // A: the contacts move to NO at or above this coil current
+            comp.dropoutCurrent = 0.015; // A: and fall back to NC below this one
+            comp.energized = false;
+        } else if (type === 'multimeter') {
+            // Terminals: red lead (node 0), COM (node 1). Readings are red minus COM.
+            comp.mode = 'voltage'; // 'voltage', 'current', 'resistance' or 'continuity'
+            comp.maxCurrent = 10; // A: the fuse of the current range; comp.broken means it has blown
+            comp.reading = 0; // V, A or Ω depending on the mode
+        } else if (isLogicSource(type) || type === 'logicprobe') {
+            comp.high = false; // Logic level: set by the user (input), the solver (gate) or read (probe)
+        } else if (type === 'npn' || type === 'pnp') {
+            // Terminals: collector (node 0), emitter (node 1), base (node 2)
+            comp.beta = 100; // Forward current gain (hFE)
+            comp.region = 'cutoff';
+        } else if (type === 'nmos') {
+            // Terminals: drain (node 0), source (node 1), gate (node 2)
+            comp.vth = 2; // Threshold voltage (V)
+            comp.kp = 0.2; // Transconductance parameter (A/V²)
+            comp.region = 'cutoff';
         } else if (type === 'pushbutton') {
             comp.resistance = 1e9; // Starts Open
             comp.isOpen = true;
@@ -139,27 +618,401 @@ class CircuitEngine {
         } else if (type === 'ldr') {
             comp.resistance = 250; // Default (mid-range of 500)
             comp.lightLevel = 0.5; // 0..1
+        } else if (type === 'spdt') {
+            comp.spdtState = 1; // Common connected to T2 (bottom), as drawn
         } else if (type === 'potentiometer') {
-            comp.resistance = 250; // Middle
+            // Terminals: A (node 0), B (node 1), Wiper (node 2)
             comp.maxResistance = 500; // Lowered from 1000 so it feels less like "Off"
-            comp.wiperPos = 0.5; // 0..1
+            comp.wiperPos = 0.5; // 0 = at A, 1 = at B
+        } else if (type === 'capacitor') {
+            comp.capacitance = 1000e-6; // 1000 µF: visible RC times with kΩ resistors
+            comp.vPrev = 0; // Voltage across the plates at the last time step
+        } else if (type === 'inductor') {
+            comp.inductance = 1; // 1 H
+            comp.iPrev = 0; // Current through the coil at the last time step
         }
 
         this.components.push(comp);
         return comp;
     }
 
-    solve() {
-        // Iterative Solver for Non-Linear Components (Diode/LED)
-        const maxIterations = 10;
+    /**
+     * Solves the circuit.
+     * Without dt, computes the operating point at the current simulated time.
+     * With dt (seconds), advances simulated time, updating capacitor and inductor state.
+     * Parts pushed beyond their rating break (see settleStep) and stay broken.
+     */
+    solve(dt = 0) {
+        if (!(dt > 0)) {
+            this.settleStep(this.maxTimeStep);
+        } else {
+            const steps = Math.min(Math.ceil(dt / this.maxTimeStep), 100);
+            const h = dt / steps;
+            for (let s = 0; s < steps; s++) {
+                this.settleStep(h);
+                this.updatePower();
+                this.commitState(h);
+                this.time += h;
+            }
+        }
+        this.updatePower();
+        this.diagnose();
+        this.solveCount++;
+    }
+
+    // Power of every part at the last solution (see getComponentPower)
+    updatePower() {
+        this.components.forEach(c => { c.power = getComponentPower(c); });
+    }
+
+    /**
+     * Advances simulated time for a circuit whose solution does not change by itself
+     * (see isTimeDependent): the power stays as solved, so only the energy adds up.
+     */
+    accumulateEnergy(dt) {
+        this.components.forEach(c => { c.energy += c.power * dt; });
+        this.time += dt;
+    }
+
+    resetEnergy() {
+        this.components.forEach(c => { c.energy = 0; });
+        this.time = 0;
+    }
+
+    // Conservation of energy: what the sources deliver equals what the other parts absorb
+    getEnergyBalance() {
+        const balance = { sourcePower: 0, loadPower: 0, sourceEnergy: 0, loadEnergy: 0 };
+        this.components.forEach(c => {
+            if (isEnergySource(c)) {
+                balance.sourcePower -= c.power;
+                balance.sourceEnergy -= c.energy;
+            } else {
+                balance.loadPower += c.power;
+                balance.loadEnergy += c.energy;
+            }
+        });
+        return balance;
+    }
+
+    // Solves one step. If that overstresses parts, the worst one breaks and the step is solved again,
+    // so a fuse that blows first protects whatever is behind it.
+    settleStep(h) {
+        this.solveStep(h);
+        while (this.converged) {
+            let worst = null;
+            let worstStress = 1;
+            this.components.forEach(c => {
+                const stress = getDamageStress(c);
+                if (stress > worstStress) {
+                    worst = c;
+                    worstStress = stress;
+                }
+            });
+            if (!worst) break;
+            worst.broken = true;
+            this.solveStep(h);
+        }
+    }
+
+    // State that carries over from one solve to the next: damage, relay contacts (hysteresis),
+    // logic levels (latches) and the junction voltages Newton-Raphson starts from.
+    // What-if sweeps (truth tables) capture it first and put it back afterwards.
+    captureState() {
+        return this.components.map(c => {
+            const state = {};
+            SOLVE_STATE_PROPS.forEach(p => { state[p] = c[p]; });
+            return state;
+        });
+    }
+
+    restoreState(states) {
+        this.components.forEach((c, i) => {
+            if (states[i]) Object.assign(c, states[i]);
+        });
+    }
+
+    /**
+     * Looks for circuit mistakes that make the numbers meaningless and fills this.diagnostics.
+     * Codes: 'short-circuit', 'parallel-sources', 'circulating-current', 'ohmmeter-powered', 'floating', 'dangling', 'broken',
+     * 'singular', 'ill-conditioned', 'no-convergence'.
+     */
+    diagnose() {
+        const diagnostics = [];
+
+        // Group nodes joined by (almost) zero-resistance paths
+        const parent = new Map(this.nodes.map(n => [n, n]));
+        const find = (n) => {
+            while (parent.get(n) !== n) n = parent.get(n);
+            return n;
+        };
+        this.components.forEach(c => {
+            getShortPaths(c).forEach(([a, b]) => {
+                if (!parent.has(c.nodes[a]) || !parent.has(c.nodes[b])) return;
+                const ra = find(c.nodes[a]);
+                const rb = find(c.nodes[b]);
+                if (ra !== rb) parent.set(ra, rb);
+            });
+        });
+
+        // 1. Sources whose terminals are joined without resistance
+        const batteries = this.components.filter(c => c.type === 'battery' && c.nodes[0] && c.nodes[1]);
+        const shorted = new Set();
+        batteries.forEach(b => {
+            const group = find(b.nodes[0]);
+            if (group !== find(b.nodes[1])) return;
+            const nodes = this.nodes.filter(n => find(n) === group);
+            const path = this.components.filter(c => c !== b &&
+                getShortPaths(c).some(([x, y]) => nodes.includes(c.nodes[x]) && nodes.includes(c.nodes[y])));
+            diagnostics.push({ code: 'short-circuit', components: [b, ...path], nodes });
+            shorted.add(b);
+        });
+
+        // 2. Sources connected straight in parallel: two ideal ones cannot both fix the voltage;
+        // with internal resistance it works, but unequal EMFs drive a current from one into the other
+        for (let i = 0; i < batteries.length; i++) {
+            for (let j = i + 1; j < batteries.length; j++) {
+                const a = batteries[i];
+                const b = batteries[j];
+                if (shorted.has(a) || shorted.has(b)) continue;
+                const [a0, a1, b0, b1] = [a.nodes[0], a.nodes[1], b.nodes[0], b.nodes[1]].map(find);
+                const sign = (a0 === b0 && a1 === b1) ? 1 : (a0 === b1 && a1 === b0) ? -1 : 0;
+                if (!sign) continue;
+                const nodes = [a.nodes[0], a.nodes[1], b.nodes[0], b.nodes[1]];
+                if (getBatteryResistance(a) === 0 && getBatteryResistance(b) === 0) {
+                    diagnostics.push({ code: 'parallel-sources', components: [a, b], nodes });
+                } else if (Math.abs(getBatteryEmf(a) - sign * getBatteryEmf(b)) > PARALLEL_EMF_TOLERANCE) {
+                    diagnostics.push({ code: 'circulating-current', components: [a, b], nodes });
+                }
+            }
+        }
+
+        // 3. Islands with parts but no energy source
+        const terminalCount = new Map();
+        this.components.forEach(c => c.nodes.forEach(n => terminalCount.set(n, (terminalCount.get(n) || 0) + 1)));
+        const powered = new Set();
+        this.components.forEach(c => {
+            const stored = (c.type === 'capacitor' && Math.abs(c.vPrev || 0) > 0.01) ||
+                (c.type === 'inductor' && Math.abs(c.iPrev || 0) > 1e-4);
+            if ((c.type === 'battery' || stored || isLogicSource(c.type)) && c.nodes[0]) powered.add(c.nodes[0].island);
+        });
+        // An ohmmeter measures with its own test current, so it needs an unpowered circuit (and powers it)
+        this.components.forEach(c => {
+            if (c.type !== 'multimeter' || !(c.mode === 'resistance' || c.mode === 'continuity') || !c.nodes[0]) return;
+            if (powered.has(c.nodes[0].island)) {
+                diagnostics.push({ code: 'ohmmeter-powered', components: [c], nodes: [] });
+            }
+        });
+        this.components.forEach(c => {
+            if (c.type === 'multimeter' && (c.mode === 'resistance' || c.mode === 'continuity') && c.nodes[0]) {
+                powered.add(c.nodes[0].island);
+            }
+        });
+        const faultIslands = new Set([...this.faultNodes].map(n => n.island));
+        const floating = new Map(); // island -> components
+        this.components.forEach(c => {
+            if (c.type === 'ground' || c.type === 'joint' || !c.nodes[0]) return;
+            const island = c.nodes[0].island;
+            if (powered.has(island) || faultIslands.has(island)) return;
+            if (!floating.has(island)) floating.set(island, []);
+            floating.get(island).push(c);
+        });
+        floating.forEach((components, island) => {
+            diagnostics.push({ code: 'floating', components, nodes: this.nodes.filter(n => n.island === island) });
+        });
+
+        // 4. Terminals left unconnected in a powered island (see isOptionalTerminal for the normal ones)
+        this.components.forEach(c => {
+            if (c.type === 'joint') return;
+            const loose = c.nodes.filter((n, k) => n && terminalCount.get(n) === 1 && powered.has(n.island) &&
+                !isOptionalTerminal(c, k) && !this.faultNodes.has(n));
+            if (loose.length > 0) diagnostics.push({ code: 'dangling', components: [c], nodes: loose });
+        });
+
+        // 5. Parts destroyed by overstress (for a multimeter: the fuse of its current range)
+        this.components.forEach(c => {
+            if (c.broken) diagnostics.push({ code: 'broken', components: [c], nodes: [] });
+        });
+
+        // 6. Solver health
+        if (this.matrixInfo.singular) {
+            diagnostics.push({ code: 'singular', components: [], nodes: [] });
+        } else if (this.matrixInfo.condition > 1e15) {
+            diagnostics.push({ code: 'ill-conditioned', components: [], nodes: [] });
+        }
+        if (!this.converged) {
+            diagnostics.push({ code: 'no-convergence', components: [], nodes: [] });
+        }
+
+        this.diagnostics = diagnostics;
+        return diagnostics;
+    }
+
+    // Stores the state of energy-storing components once a time step is accepted
+    commitState(h) {
+        this.components.forEach(comp => {
+            comp.energy += comp.power * h;
+            if (comp.type === 'battery' && comp.capacity > 0) {
+                // Current leaving the + terminal, A·s -> mAh
+                const iOut = -(comp.current || 0);
+                comp.charge -= iOut * h * (comp.drainScale || 1) / 3.6;
+                comp.charge = Math.min(Math.max(comp.charge, 0), comp.capacity);
+            } else if (comp.type === 'capacitor') {
+                const v1 = comp.nodes[0] ? comp.nodes[0].voltage : 0;
+                const v2 = comp.nodes[1] ? comp.nodes[1].voltage : 0;
+                comp.vPrev = v1 - v2;
+            } else if (comp.type === 'inductor') {
+                comp.iPrev = comp.current || 0;
+            }
+        });
+    }
+
+    /**
+     * Picks the 0V reference of every connected island of the circuit.
+     * Nodes touched by a ground symbol are the reference (all ground symbols are the same node).
+     * Islands without one use the negative terminal of their first battery, or else their first node.
+     */
+    assignReferences() {
+        // Island labelling: every component joins the nodes on its terminals
+        const parent = new Map(this.nodes.map(n => [n, n]));
+        const find = (n) => {
+            while (parent.get(n) !== n) n = parent.get(n);
+            return n;
+        };
+        this.components.forEach(c => {
+            const nodes = c.nodes.filter(n => n && parent.has(n));
+            for (let i = 1; i < nodes.length; i++) {
+                const a = find(nodes[0]);
+                const b = find(nodes[i]);
+                if (a !== b) parent.set(a, b);
+            }
+        });
+
+        const islands = new Map(); // root -> [nodes]
+        this.nodes.forEach(n => {
+            const root = find(n);
+            if (!islands.has(root)) islands.set(root, []);
+            islands.get(root).push(n);
+            n.isGND = false;
+            n.autoGround = false;
+        });
+
+        this.components.forEach(c => {
+            if (c.type === 'ground' && c.nodes[0]) c.nodes[0].isGND = true;
+        });
+
+        let index = 0;
+        islands.forEach(nodes => {
+            nodes.forEach(n => n.island = index);
+            index++;
+            if (nodes.some(n => n.isGND)) return;
+
+            const bat = this.components.find(c => c.type === 'battery' && nodes.includes(c.nodes[1]));
+            let ref = bat ? bat.nodes[1] : nodes[0];
+            if (!bat && this.components.some(c => (isLogicSource(c.type) || c.type === 'logicprobe') && nodes.includes(c.nodes[0]))) {
+                // Pure logic island: the implicit supply's 0V is a node of its own, not one of the signals
+                ref = new Node(`n_logic_gnd_${index - 1}`);
+                ref.island = index - 1;
+                this.nodes.push(ref);
+            }
+            ref.isGND = true;
+            ref.autoGround = true;
+        });
+        this.islandCount = index;
+    }
+
+    // True when the circuit changes with time even if nobody touches it
+    isTimeDependent() {
+        return this.components.some(c => c.type === 'capacitor' || c.type === 'inductor' ||
+            (c.type === 'battery' && c.capacity > 0));
+    }
+
+    // KCL: every current flowing into a node, { terms: [{ comp, terminal, current }], sum }.
+    // Logic parts return their supply current through the island's 0V reference, listed with comp = null.
+    getNodeCurrents(node) {
+        const terms = [];
+        this.components.forEach(c => {
+            const currents = getTerminalCurrents(c);
+            c.nodes.forEach((n, k) => {
+                if (n === node) terms.push({ comp: c, terminal: k, current: -(currents[k] || 0) });
+            });
+        });
+
+        if (node.isGND && this.nodes.filter(n => n.isGND && n.island === node.island).length === 1) {
+            const logicParts = this.components.filter(c => (isLogicSource(c.type) || c.type === 'logicprobe') &&
+                c.nodes[0] && c.nodes[0].island === node.island);
+            if (logicParts.length > 0) {
+                const supply = logicParts.reduce((s, c) => s + getTerminalCurrents(c).reduce((a, b) => a + b, 0), 0);
+                terms.push({ comp: null, terminal: -1, current: supply });
+            }
+        }
+        return { terms, sum: terms.reduce((s, t) => s + t.current, 0) };
+    }
+
+    // KVL: the shortest closed path through a component, entering at T0 and leaving at T1,
+    // as { steps: [{ comp, from, to, drop }], sum } with drop = V(from) - V(to) from the part's own model
+    // where it has one (see getBranchVoltage), else from the node voltages. Null when there is no loop.
+    getLoopVoltages(comp) {
+        if (comp.nodes.length < 2 || !comp.nodes[0] || !comp.nodes[1]) return null;
+        const start = comp.nodes[1];
+        const goal = comp.nodes[0];
+
+        // Breadth-first search back to T0; any pair of terminals of another part is an edge
+        const prev = new Map([[start, null]]);
+        const queue = [start];
+        while (queue.length > 0 && !prev.has(goal)) {
+            const node = queue.shift();
+            this.components.forEach(c => {
+                if (c === comp) return;
+                c.nodes.forEach((a, from) => {
+                    if (a !== node) return;
+                    c.nodes.forEach((b, to) => {
+                        if (to === from || !b || prev.has(b)) return;
+                        prev.set(b, { comp: c, from, to, node });
+                        queue.push(b);
+                    });
+                });
+            });
+        }
+        if (!prev.has(goal)) return null;
+
+        const path = [{ comp, from: 0, to: 1 }];
+        const back = [];
+        for (let n = goal; prev.get(n); n = prev.get(n).node) back.unshift(prev.get(n));
+        back.forEach(({ comp: c, from, to }) => path.push({ comp: c, from, to }));
+
+        const steps = path.map(s => {
+            const v = (s.from + s.to === 1) ? getBranchVoltage(s.comp) : null; // Only across T0 / T1
+            const drop = (v === null) ? s.comp.nodes[s.from].voltage - s.comp.nodes[s.to].voltage : (s.from === 0 ? v : -v);
+            return { ...s, drop };
+        });
+        return { steps, sum: steps.reduce((s, step) => s + step.drop, 0) };
+    }
+
+    // Single solution using Backward-Euler companion models with step h (seconds)
+    solveStep(h) {
+        // Newton-Raphson Solver for Non-Linear Components (Diode/LED)
+        const maxIterations = 100;
+        const tolerance = 1e-6; // Volts
+        const nonLinear = this.components.some(c => ['led', 'diode', 'npn', 'pnp', 'nmos'].includes(c.type));
+        this.converged = false;
+        this.matrixInfo = { singular: false, condition: 1 };
+        // State changes per part in this step. Relays switch at most once and gates a few times,
+        // so loops that feed back on themselves (a relay cutting its own coil, a ring of NOT gates) still end.
+        const switchCounts = new Map();
 
         for (let iter = 0; iter < maxIterations; iter++) {
+            this.iterations = iter + 1;
+            let limited = false;
+
             const activeNodes = this.nodes.filter(n => !n.isGND);
             const N = activeNodes.length;
             const M = this.components.filter(c => c.type === 'battery').length;
             const size = N + M;
 
-            if (size === 0) return;
+            if (size === 0) {
+                this.converged = true;
+                return;
+            }
 
             const A = new Matrix(size, size);
             const Z = Array(size).fill(0);
@@ -174,6 +1027,48 @@ class CircuitEngine {
                 return idx !== undefined ? idx : -1;
             };
 
+            // Conductance g between two nodes
+            const stampConductance = (n1, n2, g) => {
+                const i = getIdx(n1);
+                const j = getIdx(n2);
+                if (i !== -1) A.set(i, i, A.get(i, i) + g);
+                if (j !== -1) A.set(j, j, A.get(j, j) + g);
+                if (i !== -1 && j !== -1) {
+                    A.set(i, j, A.get(i, j) - g);
+                    A.set(j, i, A.get(j, i) - g);
+                }
+            };
+
+            // Current source pushing current I out of nFrom and into nTo
+            const stampCurrentSource = (nFrom, nTo, I) => {
+                const i = getIdx(nFrom);
+                const j = getIdx(nTo);
+                if (i !== -1) Z[i] -= I;
+                if (j !== -1) Z[j] += I;
+            };
+
+            // Changeover contacts: common joined to A when toA, else to B; the other side is open
+            const stampChangeover = (nCommon, nA, nB, toA) => {
+                stampConductance(nCommon, nA, 1 / (toA ? 0.001 : 1e9));
+                stampConductance(nCommon, nB, 1 / (toA ? 1e9 : 0.001));
+            };
+
+            // Multi-terminal device linearised at terminal voltages v:
+            // I[k] is the current into terminal k and J[k][j] its derivative against v[j]
+            const stampLinearised = (nodes, I, J, v) => {
+                nodes.forEach((nk, k) => {
+                    const row = getIdx(nk);
+                    if (row === -1) return;
+                    let rhs = I[k];
+                    nodes.forEach((nj, j) => {
+                        rhs -= J[k][j] * v[j];
+                        const col = getIdx(nj);
+                        if (col !== -1) A.set(row, col, A.get(row, col) + J[k][j]);
+                    });
+                    Z[row] -= rhs;
+                });
+            };
+
             // 1. Stability: Add small leakage to GND to prevent singular matrix for floating nodes
             for (let i = 0; i < N; i++) A.set(i, i, 1e-12);
 
@@ -181,7 +1076,34 @@ class CircuitEngine {
 
             // --- Fill Matrix ---
             this.components.forEach(comp => {
-                // Battery (Voltage Source)
+                // Ground symbol: its node is already the reference
+                if (comp.type === 'ground') return;
+
+                // Multimeter: what it looks like depends on the mode. Its fuse only opens the current range.
+                if (comp.type === 'multimeter') {
+                    if (comp.mode === 'current') {
+                        stampConductance(comp.nodes[0], comp.nodes[1], 1 / (comp.broken ? BROKEN_RESISTANCE : METER_SHUNT_RESISTANCE));
+                    } else if (comp.mode === 'voltage') {
+                        stampConductance(comp.nodes[0], comp.nodes[1], 1 / METER_VOLTAGE_RESISTANCE);
+                    } else {
+                        // Ω / continuity: test current out of the red lead and back in at COM
+                        stampConductance(comp.nodes[0], comp.nodes[1], 1 / METER_TEST_RESISTANCE);
+                        stampCurrentSource(comp.nodes[1], comp.nodes[0], METER_TEST_CURRENT);
+                    }
+                    return;
+                }
+
+                // Broken parts are open circuits, and so are parts with a hidden open fault
+                if (comp.broken || comp.fault === 'open') {
+                    stampConductance(comp.nodes[0], comp.nodes[1], 1 / BROKEN_RESISTANCE);
+                    return;
+                }
+                if (comp.fault === 'short') {
+                    stampConductance(comp.nodes[0], comp.nodes[1], 1 / FAULT_SHORT_RESISTANCE);
+                    return;
+                }
+
+                // Battery (Voltage Source with internal resistance): V0 - V1 - R·I = emf
                 if (comp.type === 'battery') {
                     const i = getIdx(comp.nodes[0]);
                     const j = getIdx(comp.nodes[1]);
@@ -189,7 +1111,8 @@ class CircuitEngine {
 
                     if (i !== -1) { A.set(row, i, 1); A.set(i, row, 1); }
                     if (j !== -1) { A.set(row, j, -1); A.set(j, row, -1); }
-                    Z[row] = comp.voltage;
+                    A.set(row, row, -getBatteryResistance(comp));
+                    Z[row] = getBatteryEmf(comp);
                     vSourceIndex++;
                     return;
                 }
@@ -200,66 +1123,110 @@ class CircuitEngine {
                     // If State 0 (Up/Right): Connect Common(0) - Out1(1)
                     // If State 1 (Down/Right): Connect Common(0) - Out2(2)
                     // Note: nodes array is [Common, Out1, Out2]
+                    stampChangeover(comp.nodes[0], comp.nodes[1], comp.nodes[2], comp.spdtState === 0);
+                    return;
+                }
 
-                    const targets = [
-                        { idx: 1, closed: (comp.spdtState === 0) },
-                        { idx: 2, closed: (comp.spdtState === 1) }
-                    ];
-
-                    const cIdx = getIdx(comp.nodes[0]);
+                // Logic parts: inputs load 0V through a high resistance,
+                // outputs are a LOGIC_HIGH / 0V source behind the output resistance (Norton form)
+                if (comp.type === 'logicprobe') {
+                    stampConductance(comp.nodes[0], null, 1 / LOGIC_INPUT_RESISTANCE);
+                    return;
+                }
+                if (isLogicSource(comp.type)) {
+                    const out = comp.nodes[comp.nodes.length - 1];
+                    comp.nodes.slice(0, -1).forEach(n => stampConductance(n, null, 1 / LOGIC_INPUT_RESISTANCE));
+                    stampConductance(out, null, 1 / LOGIC_OUTPUT_RESISTANCE);
+                    stampCurrentSource(null, out, comp.high ? LOGIC_HIGH / LOGIC_OUTPUT_RESISTANCE : 0);
+                    return;
+                }
 
-                    targets.forEach(t => {
-                        const R = t.closed ? 0.001 : 1e9;
-                        const g = 1 / R;
-                        const tIdx = getIdx(comp.nodes[t.idx]);
+                // Relay: coil resistance plus SPDT contacts (common to NO when energized, else to NC)
+                if (comp.type === 'relay') {
+                    stampConductance(comp.nodes[0], comp.nodes[1], 1 / getCoilResistance(comp));
+                    stampChangeover(comp.nodes[2], comp.nodes[3], comp.nodes[4], comp.energized);
+                    return;
+                }
 
-                        if (cIdx !== -1) A.set(cIdx, cIdx, A.get(cIdx, cIdx) + g);
-                        if (tIdx !== -1) A.set(tIdx, tIdx, A.get(tIdx, tIdx) + g);
-                        if (cIdx !== -1 && tIdx !== -1) {
-                            A.set(cIdx, tIdx, A.get(cIdx, tIdx) - g);
-                            A.set(tIdx, cIdx, A.get(tIdx, cIdx) - g);
-                        }
-                    });
+                // Potentiometer: two track resistors meeting at the wiper
+                if (comp.type === 'potentiometer') {
+                    const [rAW, rWB] = getPotResistances(comp);
+                    stampConductance(comp.nodes[0], comp.nodes[2], 1 / rAW);
+                    stampConductance(comp.nodes[2], comp.nodes[1], 1 / rWB);
                     return;
                 }
 
-                // Standard Resistive Components
-                let R = comp.resistance;
+                // Capacitor: G = C/h in parallel with a source holding the previous voltage
+                if (comp.type === 'capacitor') {
+                    const g = comp.capacitance / h;
+                    stampConductance(comp.nodes[0], comp.nodes[1], g);
+                    stampCurrentSource(comp.nodes[1], comp.nodes[0], g * (comp.vPrev || 0));
+                    return;
+                }
 
-                if (comp.type === 'switch' || comp.type === 'pushbutton') {
-                    R = comp.isOpen ? 1e9 : 0.001;
+                // Inductor: G = h/L in parallel with a source carrying the previous current
+                if (comp.type === 'inductor') {
+                    const g = h / comp.inductance;
+                    stampConductance(comp.nodes[0], comp.nodes[1], g);
+                    stampCurrentSource(comp.nodes[0], comp.nodes[1], comp.iPrev || 0);
+                    return;
                 }
 
-                if (comp.type === 'led') {
-                    const v1 = comp.nodes[0] ? comp.nodes[0].voltage : 0;
-                    const v2 = comp.nodes[1] ? comp.nodes[1].voltage : 0;
-                    const drop = v1 - v2;
-                    // Hysteresis / simple threshold
+                // Diode / LED: Shockley equation linearised around the operating point vd.
+                // Node 0 is the anode, node 1 the cathode (swapped by a hidden 'reversed' fault).
+                if (comp.type === 'led' || comp.type === 'diode') {
+                    const p = getDiodeParams(comp);
+                    const [nA, nK] = (comp.fault === 'reversed') ? [comp.nodes[1], comp.nodes[0]] : comp.nodes;
+                    if (comp.vd === undefined) comp.vd = 0;
                     if (iter > 0) {
-                        // User specified: 90 Ohm resistance
-                        R = (drop > 0.5) ? 90 : 1e7;
+                        const v1 = nA ? nA.voltage : 0;
+                        const v2 = nK ? nK.voltage : 0;
+                        const vNew = limitJunctionVoltage(v1 - v2, comp.vd, p);
+                        if (vNew !== v1 - v2) limited = true;
+                        comp.vd = vNew;
                     }
+                    const d = evalDiode(comp.vd, p);
+                    stampConductance(nA, nK, d.g);
+                    stampCurrentSource(nA, nK, d.i - d.g * comp.vd);
+                    return;
                 }
 
-                if (R < 1e-6) R = 1e-6;
-                const g = 1 / R;
-                const n1 = comp.nodes[0];
-                const n2 = comp.nodes[1];
+                // BJT: both junctions limited like a diode, then linearised around them
+                if (comp.type === 'npn' || comp.type === 'pnp') {
+                    const p = (comp.type === 'pnp') ? -1 : 1;
+                    const [vC, vE, vB] = comp.nodes.map(n => (n ? n.voltage : 0));
+                    if (comp.vbe === undefined) { comp.vbe = 0; comp.vbc = 0; }
+                    if (iter > 0) {
+                        const vbe = limitJunctionVoltage(p * (vB - vE), comp.vbe, BJT_JUNCTION);
+                        const vbc = limitJunctionVoltage(p * (vB - vC), comp.vbc, BJT_JUNCTION);
+                        if (vbe !== p * (vB - vE) || vbc !== p * (vB - vC)) limited = true;
+                        comp.vbe = vbe;
+                        comp.vbc = vbc;
+                    }
+                    const t = evalBjt(comp, comp.vbe, comp.vbc);
+                    stampLinearised(comp.nodes, t.i, t.jac, [vE + p * (comp.vbe - comp.vbc), vE, vE + p * comp.vbe]);
+                    return;
+                }
 
-                if (n1 || n2) {
-                    const i = getIdx(n1);
-                    const j = getIdx(n2);
-                    if (i !== -1) A.set(i, i, A.get(i, i) + g);
-                    if (j !== -1) A.set(j, j, A.get(j, j) + g);
-                    if (i !== -1 && j !== -1) {
-                        A.set(i, j, A.get(i, j) - g);
-                        A.set(j, i, A.get(j, i) - g);
+                // MOSFET: linearised around the last vgs / vds
+                if (comp.type === 'nmos') {
+                    const [vD, vS, vG] = comp.nodes.map(n => (n ? n.voltage : 0));
+                    if (comp.vgs === undefined) { comp.vgs = 0; comp.vds = 0; }
+                    if (iter > 0) {
+                        comp.vgs = vG - vS;
+                        comp.vds = vD - vS;
                     }
+                    const t = evalMosfet(comp, comp.vgs, comp.vds);
+                    stampLinearised(comp.nodes, t.i, t.jac, [vS + comp.vds, vS, vS + comp.vgs]);
+                    return;
                 }
+
+                // Standard Resistive Components
+                stampConductance(comp.nodes[0], comp.nodes[1], 1 / getSolvedResistance(comp));
             });
 
             // --- Solve ---
-            const result = solveLinearSystem(A, Z);
+            const result = solveLinearSystem(A, Z, this.matrixInfo);
 
             // --- Update Voltages ---
             let maxChange = 0;
@@ -285,6 +1252,8 @@ class CircuitEngine {
                         if (c.type === 'battery') idx++;
                     }
                     comp.current = result[N + idx];
+                } else if (comp.fault === 'open' || comp.fault === 'short') {
+                    comp.current = (v1 - v2) / (comp.fault === 'open' ? BROKEN_RESISTANCE : FAULT_SHORT_RESISTANCE);
                 } else if (comp.type === 'spdt') {
                     // For SPDT, current depends on active path
                     // Ideally check CURRENT through the active node to common?
@@ -293,20 +1262,209 @@ class CircuitEngine {
                     const vTarget = comp.nodes[idx] ? comp.nodes[idx].voltage : 0;
                     const vCommon = comp.nodes[0] ? comp.nodes[0].voltage : 0;
                     comp.current = (vCommon - vTarget) / 0.001;
+                } else if (comp.type === 'relay') {
+                    // comp.current is the coil current; the contacts carry their own
+                    const vCom = comp.nodes[2] ? comp.nodes[2].voltage : 0;
+                    const closed = comp.nodes[comp.energized ? 3 : 4];
+                    const iContact = (vCom - (closed ? closed.voltage : 0)) / 0.001;
+                    comp.current = (v1 - v2) / getCoilResistance(comp);
+                    comp.terminalCurrents = [comp.current, -comp.current, iContact,
+                        comp.energized ? -iContact : 0, comp.energized ? 0 : -iContact];
+                } else if (comp.type === 'potentiometer') {
+                    const [rAW, rWB] = getPotResistances(comp);
+                    const vW = comp.nodes[2] ? comp.nodes[2].voltage : 0;
+                    const iA = (v1 - vW) / rAW; // Into A
+                    const iB = (v2 - vW) / rWB; // Into B
+                    comp.terminalCurrents = [iA, iB, -(iA + iB)];
+                    comp.current = iA;
+                } else if (comp.type === 'capacitor') {
+                    comp.current = (comp.capacitance / h) * ((v1 - v2) - (comp.vPrev || 0));
+                } else if (comp.type === 'inductor') {
+                    comp.current = (comp.iPrev || 0) + (h / comp.inductance) * (v1 - v2);
+                } else if (comp.type === 'ground') {
+                    comp.current = 0;
+                } else if (comp.type === 'multimeter') {
+                    const v = v1 - v2;
+                    if (comp.mode === 'current') {
+                        comp.current = v / (comp.broken ? BROKEN_RESISTANCE : METER_SHUNT_RESISTANCE);
+                        comp.reading = comp.current;
+                    } else if (comp.mode === 'voltage') {
+                        comp.current = v / METER_VOLTAGE_RESISTANCE;
+                        comp.reading = v;
+                    } else {
+                        comp.current = v / METER_TEST_RESISTANCE - METER_TEST_CURRENT;
+                        comp.reading = getOhmmeterReading(v);
+                    }
+                } else if (comp.broken) {
+                    comp.current = (v1 - v2) / BROKEN_RESISTANCE;
+                } else if (comp.type === 'led' || comp.type === 'diode') {
+                    comp.current = (comp.fault === 'reversed')
+                        ? -evalDiode(v2 - v1, getDiodeParams(comp)).i
+                        : evalDiode(v1 - v2, getDiodeParams(comp)).i;
+                } else if (comp.type === 'logicprobe') {
+                    comp.current = v1 / LOGIC_INPUT_RESISTANCE;
+                    comp.terminalCurrents = [comp.current];
+                    comp.high = v1 > LOGIC_THRESHOLD;
+                } else if (isLogicSource(comp.type)) {
+                    // Current into each terminal: input loads, then the output
+                    const vs = comp.nodes.map(n => (n ? n.voltage : 0));
+                    const vOut = vs.pop();
+                    comp.terminalCurrents = vs.map(v => v / LOGIC_INPUT_RESISTANCE);
+                    comp.terminalCurrents.push((vOut - (comp.high ? LOGIC_HIGH : 0)) / LOGIC_OUTPUT_RESISTANCE);
+                    comp.current = comp.terminalCurrents[0];
+                } else if (comp.type === 'npn' || comp.type === 'pnp' || comp.type === 'nmos') {
+                    const v3 = comp.nodes[2] ? comp.nodes[2].voltage : 0;
+                    let t;
+                    if (comp.type === 'nmos') {
+                        t = evalMosfet(comp, v3 - v2, v1 - v2);
+                    } else {
+                        const p = (comp.type === 'pnp') ? -1 : 1;
+                        t = evalBjt(comp, p * (v3 - v2), p * (v3 - v1));
+                    }
+                    comp.terminalCurrents = t.i;
+                    comp.current = t.i[0]; // Collector / drain current
+                    comp.region = t.region;
                 } else {
-                    let R = comp.resistance;
-                    if (comp.type === 'switch' || comp.type === 'pushbutton') R = comp.isOpen ? 1e9 : 0.001;
-                    if (comp.type === 'led') {
-                        const drop = v1 - v2;
-                        R = (drop > 0.5) ? 90 : 1e7;
+                    comp.current = (v1 - v2) / getSolvedResistance(comp);
+                }
+            });
+
+            // Discrete states: relay contacts follow the coil current, with hysteresis between pick-up and
+            // drop-out, and gate outputs follow their inputs. Any change means solving again.
+            let switched = false;
+            const canSwitch = (comp, limit) => (switchCounts.get(comp) || 0) < limit;
+            const countSwitch = (comp) => {
+                switchCounts.set(comp, (switchCounts.get(comp) || 0) + 1);
+                switched = true;
+            };
+            this.components.forEach(comp => {
+                if (comp.type === 'relay' && canSwitch(comp, 1)) {
+                    const i = Math.abs(comp.current);
+                    const energized = comp.energized ? i >= comp.dropoutCurrent : i >= comp.pickupCurrent;
+                    if (energized !== comp.energized) {
+                        comp.energized = energized;
+                        countSwitch(comp);
+                    }
+                } else if (isLogicSource(comp.type) && comp.type !== 'logicinput' && canSwitch(comp, LOGIC_MAX_SWITCHES)) {
+                    const levels = comp.nodes.slice(0, -1).map(n => (n ? n.voltage : 0) > LOGIC_THRESHOLD);
+                    const high = LOGIC_GATES[comp.type](...levels);
+                    if (high !== comp.high) {
+                        comp.high = high;
+                        countSwitch(comp);
                     }
-                    comp.current = (v1 - v2) / R;
                 }
             });
 
-            if (iter > 0 && maxChange < 1e-3) break;
+            if (!switched && (!nonLinear || (iter > 0 && !limited && maxChange < tolerance))) {
+                this.converged = true;
+                break;
+            }
         }
     }
 
-    getOrCreateNode(x, y, tolerance = 20) { }
+    // Wires terminal termA of compA to terminal termB of compB
+    connect(compA, termA, compB, termB) {
+        const wire = { startComp: compA, startTerm: termA, endComp: compB, endTerm: termB };
+        this.wires.push(wire);
+        return wire;
+    }
+
+    /**
+     * Builds engine.nodes from the components and the wires between their terminals.
+     * Every terminal starts as its own node and each wire merges two of them (Union-Find).
+     * Must be called after any change of components or wires, before solve().
+     */
+    buildNetlist(wires = this.wires) {
+        this.wires = wires;
+
+        // 1. Create fresh nodes for every component terminal
+        this.components.forEach(c => {
+            const termCount = getTerminalCount(c.type);
+            c.nodes = []; // Clear old refs
+            for (let i = 0; i < termCount; i++) {
+                const n = new Node(`n_${c.id}_${i}`);
+                n.parent = n; // Init Union-Find
+                c.nodes.push(n);
+            }
+        });
+
+        // 2. Union-Find Helpers
+        const find = (n) => {
+            if (n.parent !== n) n.parent = find(n.parent);
+            return n.parent;
+        };
+        const union = (n1, n2) => {
+            const root1 = find(n1);
+            const root2 = find(n2);
+            if (root1 !== root2) root1.parent = root2;
+        };
+
+        // 3. Apply Wires -> Union connected nodes (a wire with a hidden open fault connects nothing)
+        this.wires.forEach(w => {
+            if (w.fault === 'open') return;
+            // Safe check for valid components/terminals
+            if (w.startComp && w.startComp.nodes[w.startTerm] &&
+                w.endComp && w.endComp.nodes[w.endTerm]) {
+                union(w.startComp.nodes[w.startTerm], w.endComp.nodes[w.endTerm]);
+            }
+        });
+
+        // 4. Update Component References to point to Roots
+        this.components.forEach(c => {
+            for (let i = 0; i < c.nodes.length; i++) {
+                c.nodes[i] = find(c.nodes[i]);
+            }
+        });
+
+        // 5. Build unique node list
+        const uniqueNodes = new Set();
+        this.components.forEach(c => {
+            c.nodes.forEach(n => uniqueNodes.add(n));
+        });
+        this.nodes = Array.from(uniqueNodes);
+        this.nodes.forEach((n, i) => n.id = `node_${i}`);
+
+        // Ends of open wires: diagnose() keeps quiet about them so the fault stays hidden
+        this.faultNodes = new Set();
+        this.wires.forEach(w => {
+            if (w.fault !== 'open' || !w.startComp || !w.endComp) return;
+            [w.startComp.nodes[w.startTerm], w.endComp.nodes[w.endTerm]].forEach(n => { if (n) this.faultNodes.add(n); });
+        });
+
+        // 6. Grounding: one 0V reference per connected island
+        this.assignReferences();
+    }
+}
+
+// --- Module Export ---
+// In the browser this file is a plain script and everything above is global.
+// Under Node (tests, tools) the same API is exported as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CircuitEngine,
+        Component,
+        Node,
+        Matrix,
+        solveLinearSystem,
+        getTerminalCount,
+        getPotResistances,
+        getDiodeParams,
+        evalDiode,
+        getBatteryEmf,
+        getFaultTypes,
+        getTerminalCurrents,
+        getComponentPower,
+        isEnergySource,
+        LED_COLORS,
+        BATTERY_PRESETS,
+        LOGIC_GATES,
+        LOGIC_HIGH,
+        LOGIC_INPUT_RESISTANCE,
+        LOGIC_OUTPUT_RESISTANCE,
+        METER_VOLTAGE_RESISTANCE,
+        METER_SHUNT_RESISTANCE,
+        METER_TEST_CURRENT,
+        METER_TEST_RESISTANCE,
+        CONTINUITY_THRESHOLD
+    };
 }
@@ -5,7 +5,7 @@
 // Initialize Engine
 let engine = new CircuitEngine();
 const canvas = document.getElementById('circuit-canvas');
-const ctx = canvas.getContext('2d');
+let ctx = canvas.getContext('2d'); // Swapped for an SvgContext while exporting (see exportSvgToFile)
 let width, height;
 
 // Visual State
@@ -14,6 +14,12 @@ let isDragging = false;
 let draggedItemType = null;
 let selectedComponent = null;
 let selectedWire = null; // { wire, index }
+let dragStart = null; // { comp, x, y } position before a drag, for undo
+let bendDrag = null; // { wire, index, before } bend being dragged, with the wire's bends before the drag
+let selectedGroup = []; // Components selected together (shift-click, rubber band); empty for a single selection
+let rubberBand = null; // { x0, y0, x1, y1, additive } selection rectangle being dragged, in world coordinates
+let groupDrag = null; // { x, y, start } pointer where the group move began and where everything was then
+let clipboard = null; // { components, wires, pastes } copied parts in the document layout
 
 // Wire Drawing State
 let isDrawingWire = false;
@@ -46,6 +52,124 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 setTimeout(resizeCanvas, 100);
 
+// --- Camera (Zoom & Pan) ---
+// Components, wires and hit-testing live in world coordinates; the camera maps them to the screen:
+// screen = (world - camera.{x,y}) * camera.zoom
+const camera = { x: 0, y: 0, zoom: 1 };
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+const FIT_MAX_ZOOM = 2;
+const FIT_MARGIN = 60; // px of screen around the circuit when fitting
+
+let isPanning = false;
+let panLast = null; // { x, y } last screen point while panning
+let spaceHeld = false;
+let pinch = null; // { dist, x, y } of the two fingers at the previous touchmove
+
+function screenToWorld(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) / camera.zoom + camera.x,
+        y: (clientY - rect.top) / camera.zoom + camera.y
+    };
+}
+
+// Grab radius in world units: px screen pixels when zoomed out, so targets stay reachable,
+// and never less than at 100% when zoomed in, where the drawing itself grows
+function hitRadius(px) {
+    return px / Math.min(camera.zoom, 1);
+}
+
+// Zooms keeping the world point under (sx, sy) (canvas pixels) in place
+function zoomAt(sx, sy, factor) {
+    const zoom = Math.min(Math.max(camera.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+    camera.x += sx / camera.zoom - sx / zoom;
+    camera.y += sy / camera.zoom - sy / zoom;
+    camera.zoom = zoom;
+    updateZoomLabel();
+    draw();
+}
+
+function panBy(dx, dy) {
+    camera.x -= dx / camera.zoom;
+    camera.y -= dy / camera.zoom;
+    draw();
+}
+
+// World rectangle holding every part and wire, or null for an empty circuit
+function getCircuitBounds() {
+    if (engine.components.length === 0) return null;
+    const points = [];
+    engine.components.forEach(c => {
+        points.push({ x: c.x - 40, y: c.y - 40 }, { x: c.x + 40, y: c.y + 40 });
+    });
+    visualWires.forEach(w => points.push(...getWirePoints(w)));
+    return {
+        minX: Math.min(...points.map(p => p.x)),
+        maxX: Math.max(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)),
+        maxY: Math.max(...points.map(p => p.y))
+    };
+}
+
+// Centres the circuit and zooms so it fills the view (never beyond maxZoom)
+function fitCircuitToView(maxZoom = FIT_MAX_ZOOM) {
+    const bounds = getCircuitBounds();
+    if (!bounds || !width || !height) {
+        Object.assign(camera, { x: 0, y: 0, zoom: 1 });
+    } else {
+        const { minX, maxX, minY, maxY } = bounds;
+        const zoom = Math.min(
+            (width - 2 * FIT_MARGIN) / (maxX - minX),
+            (height - 2 * FIT_MARGIN) / (maxY - minY),
+            maxZoom);
+        camera.zoom = Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+        camera.x = (minX + maxX) / 2 - width / 2 / camera.zoom;
+        camera.y = (minY + maxY) / 2 - height / 2 / camera.zoom;
+    }
+    updateZoomLabel();
+    draw();
+}
+
+function updateZoomLabel() {
+    const label = document.getElementById('zoom-level');
+    if (label) label.textContent = `${Math.round(camera.zoom * 100)}%`;
+}
+
+function startPan(clientX, clientY) {
+    isPanning = true;
+    panLast = { x: clientX, y: clientY };
+    canvas.style.cursor = 'grabbing';
+}
+
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    // Trackpads send many small deltas, mouse wheels a few large ones
+    zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-e.deltaY * 0.0015));
+}, { passive: false });
+
+window.addEventListener('keydown', (e) => {
+    if (e.code !== 'Space' || (document.activeElement && document.activeElement.tagName === 'INPUT')) return;
+    e.preventDefault(); // No page scroll
+    if (!spaceHeld) {
+        spaceHeld = true;
+        canvas.style.cursor = 'grab';
+    }
+});
+window.addEventListener('keyup', (e) => {
+    if (e.code !== 'Space') return;
+    spaceHeld = false;
+    canvas.style.cursor = 'default';
+});
+
+const zoomInBtn = document.getElementById('btn-zoom-in');
+if (zoomInBtn) {
+    zoomInBtn.addEventListener('click', () => zoomAt(width / 2, height / 2, 1.25));
+    document.getElementById('btn-zoom-out').addEventListener('click', () => zoomAt(width / 2, height / 2, 0.8));
+    document.getElementById('btn-zoom-fit').addEventListener('click', () => fitCircuitToView());
+}
+
 // --- Reset Functionality ---
 const resetBtn = document.getElementById('btn-reset');
 if (resetBtn) resetBtn.addEventListener('click', resetSimulation);
@@ -54,78 +178,532 @@ function resetSimulation() {
     engine = new CircuitEngine();
     visualWires = [];
     selectedComponent = null;
+    selectedGroup = [];
     isDragging = false;
     isDrawingWire = false;
+    clearHistory();
+    resetTroubleshooting();
     updatePropertiesPanel(null);
     engine.solve(); // clear state
-    draw();
+    fitCircuitToView(); // Empty circuit: back to the default view
 }
 
 // --- Circuit Reconstruction Logic ---
 // This is critical for deletion to work correctly.
-// --- Circuit Reconstruction Logic ---
-// Updated to use Union-Find to ensure component node references are correct.
 function rebuildCircuit() {
-    // 1. Create fresh nodes for every component terminal
-    let allNodes = [];
-    engine.components.forEach(c => {
-        const termCount = (c.type === 'spdt') ? 3 : 2;
-        c.nodes = []; // Clear old refs
-        for (let i = 0; i < termCount; i++) {
-            const n = new Node(`n_${c.id}_${i}`);
-            n.parent = n; // Init Union-Find
-            c.nodes.push(n);
-            allNodes.push(n);
-        }
+    // The engine merges wired terminals into nodes and picks the 0V references
+    engine.buildNetlist(visualWires);
+    engine.solve();
+}
+
+// --- Save / Load (JSON) ---
+// Document layout:
+// { format, version, components: [{ id, type, x, y, ... }],
+//   wires: [{ from: { id, terminal }, to: { id, terminal }, bends: [{ x, y }], fault }] } (bends and fault optional)
+const CIRCUIT_FORMAT = 'simulador-circuitos';
+const CIRCUIT_VERSION = 2;
+const SAVED_PROPS = ['rotation', 'resistance', 'voltage', 'isOpen', 'spdtState', 'wiperPos', 'lightLevel', 'maxResistance',
+    'capacitance', 'inductance', 'color', 'preset', 'capacity', 'charge', 'drainScale', 'maxPower', 'maxCurrent', 'broken',
+    'beta', 'vth', 'kp', 'pickupCurrent', 'dropoutCurrent', 'energized', 'high', 'mode', 'label', 'fault'];
+// Not 'locked': exercise parts are locked when the exercise loads, so a saved copy is the student's to edit
+
+// Types a document may contain: the palette parts plus the junctions the editor places itself.
+// Files and links can carry anything, and the type ends up in the panels' HTML.
+const PART_TYPES = new Set([...document.querySelectorAll('.draggable-item')].map(el => el.dataset.type).concat('joint'));
+
+// Migrations keyed by the version they upgrade FROM.
+// Each one receives a document of version N and must return a document of version N + 1.
+const CIRCUIT_MIGRATIONS = {
+    // v1 potentiometers were 2-terminal variable resistors. Keep them working as a rheostat:
+    // wires on the old second terminal move to the wiper, and the wiper reproduces the old resistance.
+    1: (doc) => {
+        const pots = new Set();
+        doc.components.forEach(c => {
+            if (c.type !== 'potentiometer') return;
+            pots.add(c.id);
+            const max = c.maxResistance || 500;
+            const r = (c.resistance !== undefined) ? c.resistance : max / 2;
+            c.maxResistance = max;
+            c.wiperPos = Math.min(Math.max(r / max, 0), 1);
+            delete c.resistance;
+        });
+        (doc.wires || []).forEach(w => {
+            [w.from, w.to].forEach(end => {
+                if (pots.has(end.id) && end.terminal === 1) end.terminal = 2;
+            });
+        });
+        return doc;
+    }
+};
+
+function serializeCircuit() {
+    return { format: CIRCUIT_FORMAT, version: CIRCUIT_VERSION, ...serializeParts(engine.components, visualWires) };
+}
+
+// Components and the wires among them in the document layout (also used by copy / paste)
+function serializeParts(comps, allWires) {
+    const components = comps.map(c => {
+        const data = { id: c.id, type: c.type, x: c.x, y: c.y };
+        SAVED_PROPS.forEach(p => {
+            if (c[p] !== undefined) data[p] = c[p];
+        });
+        return data;
     });
 
-    // 2. Union-Find Helpers
-    const find = (n) => {
-        if (n.parent !== n) n.parent = find(n.parent);
-        return n.parent;
-    };
-    const union = (n1, n2) => {
-        const root1 = find(n1);
-        const root2 = find(n2);
-        if (root1 !== root2) root1.parent = root2;
+    const wires = allWires.filter(w => comps.includes(w.startComp) && comps.includes(w.endComp)).map(w => ({
+        from: { id: w.startComp.id, terminal: w.startTerm },
+        to: { id: w.endComp.id, terminal: w.endTerm },
+        ...(w.bends ? { bends: w.bends.map(b => ({ x: b.x, y: b.y })) } : {}),
+        ...(w.fault ? { fault: w.fault } : {})
+    }));
+
+    return { components, wires };
+}
+
+function migrateCircuitDocument(doc) {
+    let version = doc.version || 1;
+    if (version > CIRCUIT_VERSION) {
+        throw new Error(`El archivo es de una versión más reciente (${version}) que este simulador (${CIRCUIT_VERSION}).`);
+    }
+    while (version < CIRCUIT_VERSION) {
+        const migrate = CIRCUIT_MIGRATIONS[version];
+        if (!migrate) throw new Error(`No se puede actualizar un circuito de la versión ${version}.`);
+        doc = migrate(doc);
+        version++;
+        doc.version = version;
+    }
+    return doc;
+}
+
+// An exercise loads its own circuit (keepChallenge); any other document ends the challenge
+function loadCircuit(doc, keepChallenge = false) {
+    if (!doc || doc.format !== CIRCUIT_FORMAT || !Array.isArray(doc.components)) {
+        throw new Error('El archivo no es un circuito válido.');
+    }
+    doc = migrateCircuitDocument(doc);
+    if (doc.components.some(c => !c || !PART_TYPES.has(c.type))) {
+        throw new Error('El circuito contiene componentes desconocidos.');
+    }
+
+    const newEngine = new CircuitEngine();
+    const parts = instantiateParts(newEngine, doc);
+
+    engine = newEngine;
+    visualWires = parts.wires;
+    selectedComponent = null;
+    selectedGroup = [];
+    selectedWire = null;
+    isDragging = false;
+    isDrawingWire = false;
+    clearHistory();
+    resetTroubleshooting();
+    updatePropertiesPanel(null);
+    rebuildCircuit();
+    fitCircuitToView(1); // Bring the whole circuit into view without enlarging it
+    if (challenge && !keepChallenge) exitChallenge();
+}
+
+// Adds the document's components to target (new ids from its compCounter), shifted by (dx, dy).
+// Returns them together with the wires among them.
+function instantiateParts(target, doc, dx = 0, dy = 0) {
+    const byId = new Map();
+    const components = doc.components.map(data => {
+        const comp = target.addComponent(data.type, data.x + dx, data.y + dy);
+        SAVED_PROPS.forEach(p => {
+            // Keep the kind of value the part already has (numbers stay numbers), so nothing else reaches the panels
+            if (data[p] !== undefined && (comp[p] === undefined || typeof data[p] === typeof comp[p])) comp[p] = data[p];
+        });
+        byId.set(data.id, comp);
+        return comp;
+    });
+
+    const wires = [];
+    (doc.wires || []).forEach(w => {
+        const startComp = byId.get(w.from.id);
+        const endComp = byId.get(w.to.id);
+        if (!startComp || !endComp) return; // Dangling reference, skip wire
+        const wire = { startComp, startTerm: w.from.terminal, endComp, endTerm: w.to.terminal };
+        if (Array.isArray(w.bends) && w.bends.length > 0) wire.bends = w.bends.map(b => ({ x: b.x + dx, y: b.y + dy }));
+        if (w.fault) wire.fault = w.fault;
+        wires.push(wire);
+    });
+    return { components, wires };
+}
+
+function saveCircuitToFile() {
+    const json = JSON.stringify(serializeCircuit(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `circuito_${Date.now()}.json`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function openCircuitFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadCircuit(JSON.parse(reader.result));
+        } catch (err) {
+            alert(`No se pudo abrir el circuito: ${err.message}`);
+        }
     };
+    reader.readAsText(file);
+}
 
-    // 3. Apply Visual Wires -> Union connected nodes
-    visualWires.forEach(w => {
-        // Safe check for valid components/terminals
-        if (w.startComp && w.startComp.nodes[w.startTerm] &&
-            w.endComp && w.endComp.nodes[w.endTerm]) {
-            union(w.startComp.nodes[w.startTerm], w.endComp.nodes[w.endTerm]);
+const saveBtn = document.getElementById('btn-save');
+if (saveBtn) saveBtn.addEventListener('click', saveCircuitToFile);
+
+const openBtn = document.getElementById('btn-open');
+const openInput = document.getElementById('file-open');
+if (openBtn && openInput) {
+    openBtn.addEventListener('click', () => openInput.click());
+    openInput.addEventListener('change', () => {
+        if (openInput.files.length > 0) openCircuitFile(openInput.files[0]);
+        openInput.value = ''; // Allow re-opening the same file
+    });
+}
+
+// --- SPICE Export / Import ---
+
+function exportSpiceToFile() {
+    const text = exportSpiceNetlist(engine);
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `circuito_${Date.now()}.cir`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Places the parsed components on a grid and loads them as a regular circuit document
+function importSpiceText(text) {
+    const parsed = parseSpiceNetlist(text);
+    if (parsed.components.length === 0) throw new Error('No se ha encontrado ningún componente compatible.');
+
+    const perRow = 4;
+    parsed.components.forEach((c, i) => {
+        c.x = 120 + (i % perRow) * 160;
+        c.y = 100 + Math.floor(i / perRow) * 120;
+    });
+
+    loadCircuit({ format: CIRCUIT_FORMAT, version: CIRCUIT_VERSION, components: parsed.components, wires: parsed.wires });
+
+    if (parsed.skipped.length > 0) {
+        alert(`Se han ignorado ${parsed.skipped.length} líneas no compatibles:\n${parsed.skipped.join('\n')}`);
+    }
+}
+
+const spiceExportBtn = document.getElementById('btn-spice-export');
+if (spiceExportBtn) spiceExportBtn.addEventListener('click', exportSpiceToFile);
+
+const spiceImportBtn = document.getElementById('btn-spice-import');
+const spiceInput = document.getElementById('file-spice');
+if (spiceImportBtn && spiceInput) {
+    spiceImportBtn.addEventListener('click', () => spiceInput.click());
+    spiceInput.addEventListener('change', () => {
+        if (spiceInput.files.length > 0) {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    importSpiceText(reader.result);
+                } catch (err) {
+                    alert(`No se pudo importar la netlist: ${err.message}`);
+                }
+            };
+            reader.readAsText(spiceInput.files[0]);
         }
+        spiceInput.value = '';
     });
+}
 
-    // 4. Update Component References to point to Roots
-    engine.components.forEach(c => {
-        for (let i = 0; i < c.nodes.length; i++) {
-            c.nodes[i] = find(c.nodes[i]);
+// --- SVG Export (svg.js) ---
+// draw() runs once more with an SvgContext in place of the canvas context, framed on the circuit.
+const SVG_MARGIN = 40; // px of paper around the circuit
+let exportOptions = null; // { values, readings } while draw() renders an export
+
+// Parts whose drawing already prints their nominal value, per view
+const VIEW_VALUE_TYPES = {
+    pictorial: ['battery', 'fuse', 'ldr'],
+    iec: ['battery', 'resistor', 'ldr', 'potentiometer', 'fuse', 'capacitor'],
+    ansi: ['battery', 'resistor', 'ldr', 'potentiometer', 'fuse', 'capacitor']
+};
+// Parts that show their own live reading
+const SELF_READING_TYPES = ['voltmeter', 'ammeter', 'multimeter', 'joint', 'ground', 'relay'];
+
+function getValueLabel(c) {
+    switch (c.type) {
+        case 'resistor': return formatSymbolValue(c.resistance, 'Ω', ' ');
+        case 'potentiometer': return formatSymbolValue(c.maxResistance, 'Ω', ' ');
+        case 'capacitor': return formatSymbolValue(c.capacitance, 'F', ' ');
+        case 'inductor': return formatSymbolValue(c.inductance, 'H', ' ');
+        case 'battery': return `${c.voltage} V`;
+        case 'fuse': return `${c.maxCurrent} A`;
+        default: return null;
+    }
+}
+
+// Voltage across and current through a two-terminal part
+function getReadingLabel(c) {
+    if (SELF_READING_TYPES.includes(c.type) || c.nodes.length !== 2 || LOGIC_GATES[c.type]) return null;
+    const v = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+    return `${formatQuantity(v, 'V')} · ${formatQuantity(c.current || 0, 'A')}`;
+}
+
+// Value and reading under the part (beside it when it stands vertically)
+function drawExportNotes(c) {
+    const notes = [];
+    if (exportOptions.values && !VIEW_VALUE_TYPES[symbolStyle].includes(c.type)) notes.push(getValueLabel(c));
+    if (exportOptions.readings) notes.push(getReadingLabel(c));
+    const lines = notes.filter(Boolean);
+    if (lines.length === 0) return;
+
+    const vertical = (c.rotation || 0) % 2 === 1;
+    ctx.font = '10px sans-serif'; ctx.fillStyle = '#1565C0';
+    ctx.textAlign = vertical ? 'left' : 'center'; ctx.textBaseline = 'top';
+    lines.forEach((line, i) => {
+        if (vertical) ctx.fillText(line, c.x + 30, c.y - 6 + i * 12);
+        else ctx.fillText(line, c.x, c.y + 34 + i * 12);
+    });
+}
+
+function exportSvgToFile(options) {
+    const bounds = getCircuitBounds();
+    if (!bounds) {
+        alert('No hay ningún componente que exportar.');
+        return;
+    }
+
+    // Frame the circuit at 1:1, without the editing state, then put everything back
+    const saved = { ctx, width, height, camera: { ...camera }, selectedComponent, selectedGroup, selectedWire };
+    let svg;
+    try {
+        ctx = new SvgContext();
+        width = bounds.maxX - bounds.minX + 2 * SVG_MARGIN;
+        height = bounds.maxY - bounds.minY + 2 * SVG_MARGIN;
+        Object.assign(camera, { x: bounds.minX - SVG_MARGIN, y: bounds.minY - SVG_MARGIN, zoom: 1 });
+        selectedComponent = null;
+        selectedGroup = [];
+        selectedWire = null;
+        exportOptions = options;
+        draw();
+        svg = ctx.toSVG(width, height);
+    } finally {
+        exportOptions = null;
+        ({ ctx, width, height, selectedComponent, selectedGroup, selectedWire } = saved);
+        Object.assign(camera, saved.camera);
+        draw();
+    }
+
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `circuito_${Date.now()}.svg`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+const svgBtn = document.getElementById('btn-svg');
+const svgModal = document.getElementById('svg-modal');
+if (svgBtn && svgModal) {
+    svgBtn.addEventListener('click', () => svgModal.classList.remove('hidden'));
+    svgModal.querySelector('.close-modal').addEventListener('click', () => svgModal.classList.add('hidden'));
+    document.getElementById('btn-svg-download').addEventListener('click', () => {
+        svgModal.classList.add('hidden');
+        exportSvgToFile({
+            values: document.getElementById('svg-values').checked,
+            readings: document.getElementById('svg-readings').checked
+        });
+    });
+}
+
+// --- Share Links (share.js) ---
+// The whole circuit travels in the URL fragment, so links work without a server.
+
+async function shareCircuitLink() {
+    const code = await encodeCircuitLink(serializeCircuit());
+    const url = `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${code}`;
+    history.replaceState(null, '', url);
+    try {
+        await navigator.clipboard.writeText(url);
+        return true;
+    } catch (err) {
+        // No clipboard access (e.g. opened from file://): let the user copy it by hand
+        prompt('Copia este enlace para compartir el circuito:', url);
+        return false;
+    }
+}
+
+async function openCircuitLink(code) {
+    try {
+        const doc = await decodeCircuitLink(code);
+        loadCircuit({ format: CIRCUIT_FORMAT, ...doc });
+    } catch (err) {
+        alert(`No se pudo abrir el circuito del enlace: ${err.message}`);
+    }
+}
+
+const shareBtn = document.getElementById('btn-share');
+if (shareBtn) {
+    shareBtn.addEventListener('click', async () => {
+        let copied;
+        try {
+            copied = await shareCircuitLink();
+        } catch (err) {
+            // No CompressionStream (older browsers): there is no way to pack the circuit
+            alert('No se pudo crear el enlace: este navegador no permite comprimir el circuito. Usa "Guardar" en su lugar.');
+            return;
+        }
+        if (copied) {
+            shareBtn.textContent = '✔ Enlace copiado';
+            setTimeout(() => { shareBtn.textContent = 'Compartir'; }, 2000);
         }
     });
+}
 
-    // 5. Build unique engine.nodes list
-    // Use Set to filter unique roots
-    const uniqueNodes = new Set();
-    engine.components.forEach(c => {
-        c.nodes.forEach(n => uniqueNodes.add(n));
+// A shared link opens its circuit first and only then shows the help
+const startupLinkCode = getLinkCode(location.hash);
+if (startupLinkCode) {
+    const helpModal = document.getElementById('help-modal');
+    const helpDisplay = helpModal ? helpModal.style.display : '';
+    if (helpModal) helpModal.style.display = 'none';
+    openCircuitLink(startupLinkCode).then(() => {
+        if (helpModal) helpModal.style.display = helpDisplay;
     });
-    engine.nodes = Array.from(uniqueNodes);
+}
+window.addEventListener('hashchange', () => {
+    const code = getLinkCode(location.hash);
+    if (code) openCircuitLink(code);
+});
+
+// --- Undo / Redo History ---
+// Every editing action is stored as a command with undo() / redo().
+// Structural edits (add, delete, split, connect) swap the component and wire lists;
+// in-place edits (move, rotate, properties) swap the old and new property values.
+const MAX_HISTORY = 100;
+let undoStack = [];
+let redoStack = [];
+
+function pushCommand(cmd) {
+    undoStack.push(cmd);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+}
 
-    // Debug: Assign simple IDs
-    engine.nodes.forEach((n, i) => n.id = `node_${i}`);
+function captureStructure() {
+    return { components: engine.components.slice(), wires: visualWires.slice() };
+}
+
+function restoreStructure(snapshot) {
+    engine.components = snapshot.components.slice();
+    visualWires = snapshot.wires.slice();
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
 
-    // 6. Grounding
-    const bat = engine.components.find(c => c.type === 'battery');
-    if (bat && bat.nodes[1]) {
-        bat.nodes[1].isGND = true;
+// Runs a mutation of engine.components / visualWires and records it as a single step
+function editCircuit(label, mutate) {
+    const before = captureStructure();
+    const result = mutate();
+    const after = captureStructure();
+    if (!sameList(before.components, after.components) || !sameList(before.wires, after.wires)) {
+        pushCommand({ label, undo: () => restoreStructure(before), redo: () => restoreStructure(after) });
     }
+    return result;
+}
 
-    engine.solve();
+function pickProps(comp, keys) {
+    const values = {};
+    keys.forEach(k => values[k] = comp[k]);
+    return values;
+}
+
+// Records an in-place edit that has already been applied to comp
+function recordPropertyChange(label, comp, before, after) {
+    if (Object.keys(before).every(k => before[k] === after[k])) return;
+    pushCommand({ label, undo: () => Object.assign(comp, before), redo: () => Object.assign(comp, after) });
+}
+
+// Several in-place edits recorded as a single step: changes = [{ obj, before, after }]
+function recordPropertyChanges(label, changes) {
+    const changed = changes.filter(c => Object.keys(c.before).some(k => c.before[k] !== c.after[k]));
+    if (changed.length === 0) return;
+    pushCommand({
+        label,
+        undo: () => changed.forEach(c => Object.assign(c.obj, c.before)),
+        redo: () => changed.forEach(c => Object.assign(c.obj, c.after))
+    });
+}
+
+// Records one step per committed change of a properties panel input (slider release, field blur)
+function trackPropertyEdits(input, comp, keys, label) {
+    let committed = pickProps(comp, keys);
+    input.addEventListener('change', () => {
+        const now = pickProps(comp, keys);
+        recordPropertyChange(label, comp, committed, now);
+        committed = now;
+    });
+}
+
+function applyHistory(from, to, method) {
+    const cmd = from.pop();
+    if (!cmd) return;
+    cmd[method]();
+    to.push(cmd);
+
+    if (selectedComponent && !engine.components.includes(selectedComponent)) selectedComponent = null;
+    selectedGroup = [];
+    selectedWire = null;
+    isDragging = false;
+    isDrawingWire = false;
+
+    rebuildCircuit();
+    updatePropertiesPanel(selectedComponent);
+    updateHistoryButtons();
+    draw();
+}
+
+function undo() { applyHistory(undoStack, redoStack, 'undo'); }
+function redo() { applyHistory(redoStack, undoStack, 'redo'); }
+
+function updateHistoryButtons() {
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
+    if (btnUndo) {
+        btnUndo.disabled = undoStack.length === 0;
+        btnUndo.title = undoStack.length ? `Deshacer: ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Deshacer (Ctrl+Z)';
+    }
+    if (btnRedo) {
+        btnRedo.disabled = redoStack.length === 0;
+        btnRedo.title = redoStack.length ? `Rehacer: ${redoStack[redoStack.length - 1].label} (Ctrl+Y)` : 'Rehacer (Ctrl+Y)';
+    }
 }
 
+const undoBtn = document.getElementById('btn-undo');
+if (undoBtn) undoBtn.addEventListener('click', undo);
+const redoBtn = document.getElementById('btn-redo');
+if (redoBtn) redoBtn.addEventListener('click', redo);
+updateHistoryButtons();
+
 
 // --- Drag & Drop from Sidebar ---
 // --- Drag & Drop from Sidebar ---
@@ -186,16 +764,16 @@ canvasWrapper.addEventListener('drop', (e) => {
 
 // Common Drop Handler
 function handleDrop(clientX, clientY) {
-    const rect = canvas.getBoundingClientRect();
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
+    const world = screenToWorld(clientX, clientY);
+    const x = snapToGrid(world.x);
+    const y = snapToGrid(world.y);
 
     // Add to engine list
     // Use stored type (either desktop 'draggedItemType' or mobile 'activeTouchDragItem')
     const type = draggedItemType || activeTouchDragItem;
 
     if (type) {
-        engine.addComponent(type, x, y);
+        editCircuit('Añadir componente', () => engine.addComponent(type, x, y));
         rebuildCircuit();
         draw();
         updatePropertiesPanel(null);
@@ -227,12 +805,23 @@ window.addEventListener('touchend', (e) => {
 
 
 canvas.addEventListener('mousedown', (e) => {
-    handlePointerDown(e.clientX, e.clientY);
+    // Middle button or space + drag moves the view
+    if (e.button === 1 || spaceHeld) {
+        e.preventDefault();
+        startPan(e.clientX, e.clientY);
+        return;
+    }
+    handlePointerDown(e.clientX, e.clientY, e.shiftKey);
 });
 
 // Touch Support: Map Touch -> Pointer Logic
 canvas.addEventListener('touchstart', (e) => {
-    if (e.touches.length === 1) {
+    if (e.touches.length === 2) {
+        e.preventDefault();
+        startPinch(e.touches);
+        return;
+    }
+    if (e.touches.length === 1 && !pinch) {
         e.preventDefault(); // Prevent scrolling
         const touch = e.touches[0];
 
@@ -256,10 +845,22 @@ canvas.addEventListener('touchstart', (e) => {
     }
 }, { passive: false });
 
-function handlePointerDown(clientX, clientY) {
-    const rect = canvas.getBoundingClientRect();
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
+// additive: shift is held, so clicks add to / remove from the selection
+function handlePointerDown(clientX, clientY, additive = false) {
+    const { x, y } = screenToWorld(clientX, clientY);
+
+    // Troubleshooting: the click names the suspect instead of selecting
+    if (accusing) {
+        accuseAt(x, y);
+        return;
+    }
+
+    // 0. Bend handle of the selected wire (Move Bend)
+    const bend = getBendAt(x, y);
+    if (bend) {
+        bendDrag = { ...bend, before: bend.wire.bends };
+        return;
+    }
 
     // 1. Check for Terminal Click (Start Wire)
     const terminal = getTerminalAt(x, y);
@@ -273,7 +874,18 @@ function handlePointerDown(clientX, clientY) {
 
     // 2. Check for Component Click
     const clickedComp = getComponentAt(x, y);
+    if (clickedComp && additive) {
+        if (clickedComp.locked) return;
+        const current = getSelectedComponents().filter(c => !c.locked); // A locked part may be selected alone, never grouped
+        setSelection(current.includes(clickedComp) ? current.filter(c => c !== clickedComp) : [...current, clickedComp]);
+        return;
+    }
+    if (clickedComp && selectedGroup.includes(clickedComp)) {
+        groupDrag = { x, y, start: captureGroupLayout(selectedGroup) };
+        return;
+    }
     if (clickedComp) {
+        selectedGroup = [];
         // Switch Toggle
         if (clickedComp.type === 'switch') {
             if (selectedComponent === clickedComp || !selectedComponent) {
@@ -288,6 +900,21 @@ function handlePointerDown(clientX, clientY) {
             engine.solve();
         }
 
+        // Multimeter: clicking a selected meter turns the rotary selector
+        if (clickedComp.type === 'multimeter' && selectedComponent === clickedComp) {
+            const i = METER_MODES.findIndex(m => m.mode === clickedComp.mode);
+            clickedComp.mode = METER_MODES[(i + 1) % METER_MODES.length].mode;
+            engine.solve();
+        }
+
+        // Logic Input Toggle
+        if (clickedComp.type === 'logicinput') {
+            if (selectedComponent === clickedComp || !selectedComponent) {
+                clickedComp.high = !clickedComp.high;
+                engine.solve();
+            }
+        }
+
         // SPDT Toggle
         if (clickedComp.type === 'spdt') {
             clickedComp.spdtState = (clickedComp.spdtState === 0) ? 1 : 0;
@@ -297,7 +924,10 @@ function handlePointerDown(clientX, clientY) {
         selectedComponent = clickedComp;
         updatePropertiesPanel(clickedComp);
 
-        isDragging = true;
+        if (!clickedComp.locked) {
+            isDragging = true;
+            dragStart = { comp: clickedComp, x: clickedComp.x, y: clickedComp.y };
+        }
         return;
     }
 
@@ -305,16 +935,16 @@ function handlePointerDown(clientX, clientY) {
     const wireHit = getWireAt(x, y, 15); // Large threshold for selection
     if (wireHit) {
         selectedComponent = null;
+        selectedGroup = [];
         selectedWire = wireHit;
         updatePropertiesPanel({ type: 'wire', wire: wireHit.wire, index: wireHit.index, x: x, y: y });
         draw();
         return;
     }
 
-    // 4. Click Empty
-    selectedComponent = null;
-    selectedWire = null;
-    updatePropertiesPanel(null);
+    // 4. Click Empty: clears the selection and starts a rubber band
+    if (!additive) setSelection([]);
+    rubberBand = { x0: x, y0: y, x1: x, y1: y, additive };
     draw();
 }
 
@@ -326,19 +956,45 @@ canvas.addEventListener('dblclick', (e) => {
 // Simple pseudo-double-tap for mobile could be added, but 'Del' button exists.
 
 function handleDoubleClick(clientX, clientY) {
-    const rect = canvas.getBoundingClientRect();
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
+    const { x, y } = screenToWorld(clientX, clientY);
 
     // Delete Joint on Double Click (and its wires)
     const clickedComp = getComponentAt(x, y);
-    if (clickedComp && clickedComp.type === 'joint') {
-        engine.components = engine.components.filter(c => c !== clickedComp);
-        visualWires = visualWires.filter(w => w.startComp !== clickedComp && w.endComp !== clickedComp);
+    if (clickedComp && clickedComp.type === 'joint' && !clickedComp.locked) {
+        editCircuit('Borrar nodo', () => {
+            engine.components = engine.components.filter(c => c !== clickedComp);
+            visualWires = visualWires.filter(w => w.startComp !== clickedComp && w.endComp !== clickedComp);
+        });
+        if (selectedComponent === clickedComp) selectedComponent = null;
         rebuildCircuit();
         draw();
         return;
     }
+
+    // Remove a bend of the selected wire
+    const bend = getBendAt(x, y);
+    if (bend) {
+        setWireBends(bend.wire, bend.wire.bends.filter((b, i) => i !== bend.index), 'Quitar codo');
+        return;
+    }
+
+    // Add a bend where the wire was clicked, ready to be dragged
+    const wireHit = getWireAt(x, y, 15);
+    if (wireHit && !isWireLocked(wireHit.wire)) {
+        const bends = (wireHit.wire.bends || []).slice();
+        bends.splice(getBendInsertIndex(wireHit.wire, x, y), 0, { x: snapToGrid(x), y: snapToGrid(y) });
+        selectedComponent = null;
+        selectedWire = wireHit;
+        setWireBends(wireHit.wire, bends, 'Añadir codo');
+        updatePropertiesPanel({ type: 'wire', wire: wireHit.wire, index: wireHit.index, x: x, y: y });
+    }
+}
+
+function setWireBends(wire, bends, label) {
+    const before = wire.bends;
+    wire.bends = bends.length > 0 ? bends : undefined;
+    recordPropertyChange(label, wire, { bends: before }, { bends: wire.bends });
+    draw();
 }
 
 // --- Helper for Cleanup ---
@@ -359,11 +1015,21 @@ function removeOrphanedJoints() {
 }
 
 canvas.addEventListener('mousemove', (e) => {
+    if (isPanning) {
+        panBy(e.clientX - panLast.x, e.clientY - panLast.y);
+        panLast = { x: e.clientX, y: e.clientY };
+        return;
+    }
     handlePointerMove(e.clientX, e.clientY);
 });
 
 canvas.addEventListener('touchmove', (e) => {
-    if (e.touches.length === 1) {
+    if (pinch && e.touches.length === 2) {
+        e.preventDefault();
+        movePinch(e.touches);
+        return;
+    }
+    if (e.touches.length === 1 && !pinch) {
         e.preventDefault();
         const touch = e.touches[0];
         handlePointerMove(touch.clientX, touch.clientY);
@@ -371,32 +1037,56 @@ canvas.addEventListener('touchmove', (e) => {
 }, { passive: false });
 
 function handlePointerMove(clientX, clientY) {
-    const rect = canvas.getBoundingClientRect();
-    mouseX = clientX - rect.left;
-    mouseY = clientY - rect.top;
+    const world = screenToWorld(clientX, clientY);
+    mouseX = world.x;
+    mouseY = world.y;
 
     // Cursor
     const terminal = getTerminalAt(mouseX, mouseY);
     const wireHit = getWireAt(mouseX, mouseY);
 
-    if (terminal) canvas.style.cursor = 'crosshair';
-    else if (getComponentAt(mouseX, mouseY)) canvas.style.cursor = 'move';
+    if (spaceHeld) canvas.style.cursor = 'grab';
+    else if (terminal) canvas.style.cursor = 'crosshair';
+    else if (bendDrag || getBendAt(mouseX, mouseY) || getComponentAt(mouseX, mouseY)) canvas.style.cursor = 'move';
     else if (wireHit) canvas.style.cursor = 'pointer';
     else canvas.style.cursor = 'default';
 
     if (isDragging && selectedComponent) {
-        selectedComponent.x = mouseX;
-        selectedComponent.y = mouseY;
+        selectedComponent.x = snapToGrid(mouseX);
+        selectedComponent.y = snapToGrid(mouseY);
+    }
+    if (rubberBand) {
+        rubberBand.x1 = mouseX;
+        rubberBand.y1 = mouseY;
+    }
+    if (groupDrag) moveGroupTo(groupDrag, snapToGrid(mouseX - groupDrag.x), snapToGrid(mouseY - groupDrag.y));
+    if (bendDrag) {
+        const moved = { x: snapToGrid(mouseX), y: snapToGrid(mouseY) };
+        bendDrag.wire.bends = bendDrag.wire.bends.map((b, i) => (i === bendDrag.index ? moved : b));
     }
     // Repaint on move usually needed for dragging or wires
     draw();
 }
 
 canvas.addEventListener('mouseup', (e) => {
+    if (isPanning) return; // Ended by the window listener below
     handlePointerUp(e.clientX, e.clientY);
 });
 
+// A pan ends wherever the button is released, even outside the canvas
+window.addEventListener('mouseup', () => {
+    if (!isPanning) return;
+    isPanning = false;
+    canvas.style.cursor = spaceHeld ? 'grab' : 'default';
+});
+
 canvas.addEventListener('touchend', (e) => {
+    // A pinch lasts until every finger is lifted, so the last one does not click
+    if (pinch) {
+        if (e.touches.length === 0) pinch = null;
+        e.preventDefault();
+        return;
+    }
     // For touchend, changedTouches has the info
     if (e.changedTouches.length > 0) {
         const touch = e.changedTouches[0];
@@ -422,21 +1112,19 @@ function handlePointerUp(clientX, clientY) {
         // Need to update MouseX/Y first?
         // handlePointerMove updates global mouseX/Y, let's assume valid from last move.
         // Or re-calc from clientX
-        const rect = canvas.getBoundingClientRect();
-        const mx = clientX - rect.left;
-        const my = clientY - rect.top;
+        const { x: mx, y: my } = screenToWorld(clientX, clientY);
 
         const terminal = getTerminalAt(mx, my);
         if (terminal) {
             const isSameTerm = (terminal.component === wireStartTerminal.component && terminal.index === wireStartTerminal.index);
             if (!isSameTerm) {
                 // Add Wire
-                visualWires.push({
+                editCircuit('Conectar cable', () => visualWires.push({
                     startComp: wireStartTerminal.component,
                     startTerm: wireStartTerminal.index,
                     endComp: terminal.component,
                     endTerm: terminal.index
-                });
+                }));
                 // Rebuild to merge
                 rebuildCircuit();
                 needsSolve = false;
@@ -448,28 +1136,96 @@ function handlePointerUp(clientX, clientY) {
         if (needsSolve) engine.solve();
     }
 
+    // A whole drag is recorded as a single move step
+    if (isDragging && dragStart) {
+        const comp = dragStart.comp;
+        recordPropertyChange('Mover', comp, { x: dragStart.x, y: dragStart.y }, { x: comp.x, y: comp.y });
+    }
+    dragStart = null;
+
+    if (bendDrag) {
+        recordPropertyChange('Mover codo', bendDrag.wire, { bends: bendDrag.before }, { bends: bendDrag.wire.bends });
+        bendDrag = null;
+    }
+
+    if (groupDrag) {
+        recordGroupLayout('Mover grupo', groupDrag.start);
+        groupDrag = null;
+    }
+
+    if (rubberBand) {
+        const band = rubberBand;
+        rubberBand = null;
+        const inside = engine.components.filter(c => !c.locked &&
+            c.x >= Math.min(band.x0, band.x1) && c.x <= Math.max(band.x0, band.x1) &&
+            c.y >= Math.min(band.y0, band.y1) && c.y <= Math.max(band.y0, band.y1));
+        if (inside.length > 0) {
+            const current = band.additive ? getSelectedComponents().filter(c => !c.locked) : [];
+            setSelection([...current, ...inside.filter(c => !current.includes(c))]);
+        }
+    }
+
+    isDragging = false;
+    isDrawingWire = false;
+    wireStartTerminal = null;
+    draw();
+}
+
+// --- Two-Finger Pinch & Pan ---
+
+function getPinch(touches) {
+    const rect = canvas.getBoundingClientRect();
+    const [a, b] = [touches[0], touches[1]];
+    return {
+        dist: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top
+    };
+}
+
+// The first finger already went through handlePointerDown: undo whatever it started
+function startPinch(touches) {
+    if (isDragging && dragStart) {
+        dragStart.comp.x = dragStart.x;
+        dragStart.comp.y = dragStart.y;
+    }
     isDragging = false;
+    dragStart = null;
     isDrawingWire = false;
     wireStartTerminal = null;
+    if (groupDrag) moveGroupTo(groupDrag, 0, 0);
+    groupDrag = null;
+    rubberBand = null;
+    lastTapTime = 0;
+    pinch = getPinch(touches);
     draw();
 }
 
+function movePinch(touches) {
+    const next = getPinch(touches);
+    if (pinch.dist > 0) zoomAt(pinch.x, pinch.y, next.dist / pinch.dist);
+    panBy(next.x - pinch.x, next.y - pinch.y);
+    pinch = next;
+}
+
 // --- Mouse Helpers ---
 
 function getWireAt(mx, my, threshold = 8) {
     for (let i = 0; i < visualWires.length; i++) {
         const w = visualWires[i];
-        const s = getTransformedTerminals(w.startComp);
-        const e = getTransformedTerminals(w.endComp);
-        const p1 = (w.startTerm === 0) ? s.t0 : s.t1;
-        const p2 = (w.endTerm === 0) ? e.t0 : e.t1;
-
-        const d = distToSegment(mx, my, p1.x, p1.y, p2.x, p2.y);
-        if (d < threshold) return { wire: w, index: i };
+        if (distToPolyline(mx, my, getWirePoints(w)) < hitRadius(threshold)) return { wire: w, index: i };
     }
     return null;
 }
 
+function distToPolyline(x, y, points) {
+    let best = Infinity;
+    for (let i = 1; i < points.length; i++) {
+        best = Math.min(best, distToSegment(x, y, points[i - 1].x, points[i - 1].y, points[i].x, points[i].y));
+    }
+    return best;
+}
+
 function distToSegment(x, y, x1, y1, x2, y2) {
     const A = x - x1;
     const B = y - y1;
@@ -503,11 +1259,18 @@ function getTransformedTerminals(comp) {
         return p;
     };
 
-    // SPDT: 3 Terminals. T0=Common(Left), T1=TopRight, T2=BottomRight
-    if (comp.type === 'spdt') {
+    // Ground: single terminal above the symbol
+    if (comp.type === 'ground') {
+        let t0 = { x: 0, y: -20 };
+        rotatePoint(t0, r);
+        return { t0: { x: comp.x + t0.x, y: comp.y + t0.y } };
+    }
+
+    // Potentiometer: T0=A(Left), T1=B(Right), T2=Wiper(Bottom)
+    if (comp.type === 'potentiometer') {
         let t0 = { x: -40, y: 0 };
-        let t1 = { x: 40, y: -20 };
-        let t2 = { x: 40, y: 20 };
+        let t1 = { x: 40, y: 0 };
+        let t2 = { x: 0, y: 30 };
 
         rotatePoint(t0, r); rotatePoint(t1, r); rotatePoint(t2, r);
         return {
@@ -517,8 +1280,67 @@ function getTransformedTerminals(comp) {
         };
     }
 
-    // Standard 2-Terminal
-    let t0 = { x: -40, y: 0 };
+    // Transistors: T0=Collector/Drain(Top), T1=Emitter/Source(Bottom), T2=Base/Gate(Left)
+    if (comp.type === 'npn' || comp.type === 'pnp' || comp.type === 'nmos') {
+        let t0 = { x: 20, y: -40 };
+        let t1 = { x: 20, y: 40 };
+        let t2 = { x: -40, y: 0 };
+
+        rotatePoint(t0, r); rotatePoint(t1, r); rotatePoint(t2, r);
+        return {
+            t0: { x: comp.x + t0.x, y: comp.y + t0.y },
+            t1: { x: comp.x + t1.x, y: comp.y + t1.y },
+            t2: { x: comp.x + t2.x, y: comp.y + t2.y }
+        };
+    }
+
+    // Logic: toggle input has its output on the right, probe its input on the left,
+    // 2-input gates T0=A (TopLeft), T1=B (BottomLeft), T2=Y (Right). NOT uses the standard layout.
+    if (comp.type === 'logicinput' || comp.type === 'logicprobe') {
+        let t0 = { x: comp.type === 'logicinput' ? 40 : -40, y: 0 };
+        rotatePoint(t0, r);
+        return { t0: { x: comp.x + t0.x, y: comp.y + t0.y } };
+    }
+    if (LOGIC_GATES[comp.type] && comp.type !== 'not') {
+        let t0 = { x: -40, y: -20 };
+        let t1 = { x: -40, y: 20 };
+        let t2 = { x: 40, y: 0 };
+
+        rotatePoint(t0, r); rotatePoint(t1, r); rotatePoint(t2, r);
+        return {
+            t0: { x: comp.x + t0.x, y: comp.y + t0.y },
+            t1: { x: comp.x + t1.x, y: comp.y + t1.y },
+            t2: { x: comp.x + t2.x, y: comp.y + t2.y }
+        };
+    }
+
+    // Relay: T0=Coil+ and T1=Coil- (Left), T2=Common, T3=NO, T4=NC (Right)
+    if (comp.type === 'relay') {
+        const points = [{ x: -40, y: -20 }, { x: -40, y: 20 }, { x: 40, y: 40 }, { x: 40, y: -40 }, { x: 40, y: 0 }];
+        const terms = {};
+        points.forEach((p, i) => {
+            rotatePoint(p, r);
+            terms[`t${i}`] = { x: comp.x + p.x, y: comp.y + p.y };
+        });
+        return terms;
+    }
+
+    // SPDT: 3 Terminals. T0=Common(Left), T1=TopRight, T2=BottomRight
+    if (comp.type === 'spdt') {
+        let t0 = { x: -40, y: 0 };
+        let t1 = { x: 40, y: -20 };
+        let t2 = { x: 40, y: 20 };
+
+        rotatePoint(t0, r); rotatePoint(t1, r); rotatePoint(t2, r);
+        return {
+            t0: { x: comp.x + t0.x, y: comp.y + t0.y },
+            t1: { x: comp.x + t1.x, y: comp.y + t1.y },
+            t2: { x: comp.x + t2.x, y: comp.y + t2.y }
+        };
+    }
+
+    // Standard 2-Terminal
+    let t0 = { x: -40, y: 0 };
     let t1 = { x: 40, y: 0 };
     rotatePoint(t0, r); rotatePoint(t1, r);
     return {
@@ -527,22 +1349,134 @@ function getTransformedTerminals(comp) {
     };
 }
 
+// Position of terminal `index` (t0, t1, t2...) of a component
+function getTerminalPos(comp, index) {
+    const terms = getTransformedTerminals(comp);
+    return terms[`t${index}`] || terms.t0;
+}
+
+// --- Grid & Wire Routing ---
+// Parts snap to the grid and wires run as horizontal / vertical segments.
+// A wire may carry bend points ({ x, y } in wire.bends) that the route must pass through;
+// the corners in between are added automatically. wire.bends is never mutated in place,
+// so undo can keep references to the old array.
+const GRID_SIZE = 20;
+
+function snapToGrid(v) {
+    return Math.round(v / GRID_SIZE) * GRID_SIZE;
+}
+
+// 'h' when the terminal sticks out sideways from its part, 'v' up/down, null for joints
+function getTerminalAxis(comp, index) {
+    const p = getTerminalPos(comp, index);
+    const dx = p.x - comp.x;
+    const dy = p.y - comp.y;
+    if (dx === 0 && dy === 0) return null;
+    return Math.abs(dx) >= Math.abs(dy) ? 'h' : 'v';
+}
+
+// Corners from a to b, leaving along leaveAxis and arriving along arriveAxis when given
+function routeGap(a, b, leaveAxis, arriveAxis) {
+    if (a.x === b.x || a.y === b.y) return [];
+    const leave = leaveAxis || (arriveAxis === 'h' ? 'v' : 'h');
+    const arrive = arriveAxis || (leave === 'h' ? 'v' : 'h');
+    if (leave === 'h' && arrive === 'h') {
+        const mx = snapToGrid((a.x + b.x) / 2);
+        return [{ x: mx, y: a.y }, { x: mx, y: b.y }];
+    }
+    if (leave === 'v' && arrive === 'v') {
+        const my = snapToGrid((a.y + b.y) / 2);
+        return [{ x: a.x, y: my }, { x: b.x, y: my }];
+    }
+    return leave === 'h' ? [{ x: b.x, y: a.y }] : [{ x: a.x, y: b.y }];
+}
+
+// Full orthogonal path through the given points (first and last are the terminals)
+function routeWire(points, startAxis, endAxis) {
+    const route = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const leave = (i === 1) ? startAxis : null;
+        const arrive = (i === points.length - 1) ? endAxis : null;
+        route.push(...routeGap(points[i - 1], points[i], leave, arrive), points[i]);
+    }
+    return route;
+}
+
+function getWireControlPoints(wire) {
+    return [getTerminalPos(wire.startComp, wire.startTerm), ...(wire.bends || []),
+        getTerminalPos(wire.endComp, wire.endTerm)];
+}
+
+function getWirePoints(wire) {
+    return routeWire(getWireControlPoints(wire),
+        getTerminalAxis(wire.startComp, wire.startTerm), getTerminalAxis(wire.endComp, wire.endTerm));
+}
+
+function tracePolyline(points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+}
+
+function getPolylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += dist(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+    return length;
+}
+
+// The point at distance s along the path
+function getPointAlong(points, s) {
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const d = dist(a.x, a.y, b.x, b.y);
+        if (s <= d && d > 0) return { x: a.x + (b.x - a.x) * s / d, y: a.y + (b.y - a.y) * s / d };
+        s -= d;
+    }
+    return points[points.length - 1];
+}
+
+// Number of bends before (x, y) along the wire, i.e. where a new bend there belongs in wire.bends
+function getBendInsertIndex(wire, x, y) {
+    const controls = getWireControlPoints(wire);
+    const startAxis = getTerminalAxis(wire.startComp, wire.startTerm);
+    const endAxis = getTerminalAxis(wire.endComp, wire.endTerm);
+    let best = 0;
+    let bestDist = Infinity;
+    for (let i = 1; i < controls.length; i++) {
+        const gap = routeWire([controls[i - 1], controls[i]],
+            i === 1 ? startAxis : null, i === controls.length - 1 ? endAxis : null);
+        const d = distToPolyline(x, y, gap);
+        if (d < bestDist) { bestDist = d; best = i - 1; }
+    }
+    return best;
+}
+
+// Bend handle of the selected wire under (x, y)
+function getBendAt(x, y) {
+    if (!selectedWire || isWireLocked(selectedWire.wire)) return null;
+    const bends = selectedWire.wire.bends || [];
+    const index = bends.findIndex(b => dist(x, y, b.x, b.y) < hitRadius(10));
+    return index === -1 ? null : { wire: selectedWire.wire, index };
+}
+
+// Nearest terminal within reach: zoomed out, several can be inside the radius
 function getTerminalAt(x, y) {
+    let best = null;
+    let bestDist = hitRadius(15);
     for (let c of engine.components) {
         const terms = getTransformedTerminals(c);
-        if (c.type === 'joint') {
-            if (dist(x, y, terms.t0.x, terms.t0.y) < 15) return { component: c, index: 0, x: terms.t0.x, y: terms.t0.y };
-        }
-
-        if (dist(x, y, terms.t0.x, terms.t0.y) < 15) return { component: c, index: 0, x: terms.t0.x, y: terms.t0.y };
-        if (dist(x, y, terms.t1.x, terms.t1.y) < 15) return { component: c, index: 1, x: terms.t1.x, y: terms.t1.y };
-
-        // Check T2 for SPDT
-        if (terms.t2 && dist(x, y, terms.t2.x, terms.t2.y) < 15) {
-            return { component: c, index: 2, x: terms.t2.x, y: terms.t2.y };
+        // Joints expose t0 and t1 at the same spot: t0 wins
+        for (let i = 0; terms[`t${i}`]; i++) {
+            const t = terms[`t${i}`];
+            const d = dist(x, y, t.x, t.y);
+            if (d < bestDist) {
+                best = { component: c, index: i, x: t.x, y: t.y };
+                bestDist = d;
+            }
         }
     }
-    return null;
+    return best;
 }
 
 function updatePropertiesPanel(comp) {
@@ -551,34 +1485,82 @@ function updatePropertiesPanel(comp) {
 
     panel.innerHTML = '';
     if (!comp) {
-        panel.innerHTML = '<p>Selecciona un componente para ver sus propiedades.</p>';
+        panel.innerHTML = '<p>Selecciona un componente para ver sus propiedades.</p>' +
+            '<div id="energy-balance" class="energy-readout"></div>' +
+            '<button id="btn-reset-energy" class="btn btn-secondary">Reiniciar energía</button>';
+        document.getElementById('btn-reset-energy').onclick = () => {
+            engine.resetEnergy();
+            updateEnergyReadout();
+        };
+        updateEnergyReadout();
+        return;
+    }
+
+    if (comp.type === 'group') {
+        panel.innerHTML = `<h3>GRUPO</h3><p>${selectedGroup.length} componentes seleccionados.</p>
+            <p style="font-size:0.8rem; color:#666;">Arrastra cualquiera de ellos para mover el grupo. Ctrl+C / Ctrl+V para duplicarlo.</p>
+            <button id="btn-rotate-group" class="btn btn-secondary">Girar (R)</button>
+            <button id="btn-copy-group" class="btn btn-secondary">Copiar</button>
+            <button id="btn-delete-group" class="btn btn-secondary">Eliminar</button>`;
+        document.getElementById('btn-rotate-group').onclick = rotateGroup;
+        document.getElementById('btn-copy-group').onclick = copySelection;
+        document.getElementById('btn-delete-group').onclick = deleteGroup;
         return;
     }
 
-    let html = `<h3>${comp.type.toUpperCase()}</h3>`;
+    let html = `<h3>${escapeHtml(comp.type.toUpperCase())}</h3>`;
 
     if (comp.type === 'wire') {
         html = `<h3>CABLE</h3>`;
-        html += `<p style="font-size:0.8rem; margin-bottom:10px; color:#666;">Conecta ${comp.wire.startComp.type} con ${comp.wire.endComp.type}</p>`;
+        html += `<p style="font-size:0.8rem; margin-bottom:10px; color:#666;">Conecta ${escapeHtml(comp.wire.startComp.type)} con ${escapeHtml(comp.wire.endComp.type)}</p>`;
+        if (isWireLocked(comp.wire)) {
+            panel.innerHTML = html + '<p>🔒 Cable del ejercicio</p>';
+            return;
+        }
+        if (teacherMode) html += faultSelectHtml(['open'], comp.wire.fault);
+        html += `<p style="font-size:0.8rem; color:#666;">Doble clic en el cable para añadir un codo; arrastra los codos para moverlos y haz doble clic en ellos para quitarlos.</p>`;
+        if (comp.wire.bends) {
+            html += `<button id="btn-straighten-wire" class="btn btn-secondary">Quitar codos</button>`;
+        }
         html += `<div style="margin-top:10px;">
                     <button id="btn-split-wire" style="margin-right:5px; background:#2196F3; color:white; border:none; padding:8px 12px; border-radius:4px; font-weight:bold; cursor:pointer;">Dividir (Añadir Nodo)</button>
                     <button id="btn-delete-wire" style="background:#f44336; color:white; border:none; padding:8px 12px; border-radius:4px; font-weight:bold; cursor:pointer;">Eliminar</button>
                   </div>`;
         panel.innerHTML = html;
+        bindFaultSelect(comp.wire, true);
+
+        const straightenBtn = document.getElementById('btn-straighten-wire');
+        if (straightenBtn) {
+            straightenBtn.onclick = () => {
+                setWireBends(comp.wire, [], 'Quitar codos');
+                updatePropertiesPanel(comp);
+            };
+        }
 
         document.getElementById('btn-split-wire').onclick = () => {
-            const x = comp.x;
-            const y = comp.y;
-            const joint = engine.addComponent('joint', x, y);
+            const x = snapToGrid(comp.x);
+            const y = snapToGrid(comp.y);
             const oldW = comp.wire;
+            // Bends before the split point stay on the first half
+            const bends = oldW.bends || [];
+            const cut = getBendInsertIndex(oldW, comp.x, comp.y);
+            const firstBends = bends.slice(0, cut);
+            const secondBends = bends.slice(cut);
 
             // Remove old wire at index
             // Note: if wires changed meanwhile, finding by reference is safer
             const idx = visualWires.indexOf(oldW);
             if (idx !== -1) {
-                visualWires.splice(idx, 1);
-                visualWires.push({ startComp: oldW.startComp, startTerm: oldW.startTerm, endComp: joint, endTerm: 0 });
-                visualWires.push({ startComp: joint, startTerm: 1, endComp: oldW.endComp, endTerm: oldW.endTerm });
+                const joint = editCircuit('Dividir cable', () => {
+                    const j = engine.addComponent('joint', x, y);
+                    visualWires.splice(idx, 1);
+                    // A hidden open fault stays on the first half, so splitting does not repair it
+                    visualWires.push({ startComp: oldW.startComp, startTerm: oldW.startTerm, endComp: j, endTerm: 0,
+                        bends: firstBends.length > 0 ? firstBends : undefined, ...(oldW.fault ? { fault: oldW.fault } : {}) });
+                    visualWires.push({ startComp: j, startTerm: 1, endComp: oldW.endComp, endTerm: oldW.endTerm,
+                        bends: secondBends.length > 0 ? secondBends : undefined });
+                    return j;
+                });
                 rebuildCircuit();
                 selectedComponent = joint;
                 selectedWire = null;
@@ -590,8 +1572,10 @@ function updatePropertiesPanel(comp) {
         document.getElementById('btn-delete-wire').onclick = () => {
             const idx = visualWires.indexOf(comp.wire);
             if (idx !== -1) {
-                visualWires.splice(idx, 1);
-                removeOrphanedJoints();
+                editCircuit('Borrar cable', () => {
+                    visualWires.splice(idx, 1);
+                    removeOrphanedJoints();
+                });
                 rebuildCircuit();
                 selectedWire = null;
                 updatePropertiesPanel(null);
@@ -602,9 +1586,38 @@ function updatePropertiesPanel(comp) {
     }
 
     if (comp.type === 'battery') {
+        const presets = { custom: 'Personalizada', aa: 'Pila AA 1.5V', '9v': 'Pila 9V', lipo: 'LiPo 3.7V' };
+        const presetOptions = Object.keys(presets).map(k =>
+            `<option value="${k}" ${comp.preset === k ? 'selected' : ''}>${presets[k]}</option>`).join('');
+        const speeds = { 1: 'Tiempo real', 60: '1 min por segundo', 3600: '1 hora por segundo' };
+        const speedOptions = Object.keys(speeds).map(k =>
+            `<option value="${k}" ${comp.drainScale == k ? 'selected' : ''}>${speeds[k]}</option>`).join('');
+
+        html += `<label>Tipo: <select id="prop-battery-preset">${presetOptions}</select></label>`;
         html += `<label>Voltaje (V): <input type="number" id="prop-voltage" value="${comp.voltage}" step="0.1"></label>`;
+        html += `<label>Resistencia interna (Ω): <input type="number" id="prop-internal-r" value="${comp.resistance}" min="0" step="0.05"></label>`;
+        html += `<label>Capacidad (mAh, 0 = infinita): <input type="number" id="prop-capacity" value="${comp.capacity}" min="0" step="100"></label>`;
+        if (comp.capacity > 0) {
+            html += `<label>Velocidad de descarga: <select id="prop-drain">${speedOptions}</select></label>`;
+            html += `<button id="btn-recharge" style="background:#4CAF50; color:white; border:none; padding:5px 10px; cursor:pointer;">🔌 Recargar</button>`;
+        }
     } else if (comp.type === 'resistor') {
         html += `<label>Resistencia (Ω): <input type="number" id="prop-resistance" value="${comp.resistance}" step="10"></label>`;
+        html += `<label>Potencia máxima (W, 0 = sin límite): <input type="number" id="prop-max-power" value="${comp.maxPower}" min="0" step="0.25"></label>`;
+    } else if (comp.type === 'relay') {
+        html += `<label>Resistencia de bobina (Ω): <input type="number" id="prop-resistance" value="${comp.resistance}" min="1" step="10"></label>`;
+        html += `<label>Corriente de activación (mA): <input type="number" id="prop-pickup" value="${+(comp.pickupCurrent * 1000).toPrecision(6)}" min="0.1" step="1"></label>`;
+        html += `<label>Corriente de desconexión (mA): <input type="number" id="prop-dropout" value="${+(comp.dropoutCurrent * 1000).toPrecision(6)}" min="0.1" step="1"></label>`;
+    } else if (comp.type === 'npn' || comp.type === 'pnp') {
+        html += `<label>Ganancia β (hFE): <input type="number" id="prop-beta" value="${comp.beta}" min="1" step="10"></label>`;
+    } else if (comp.type === 'nmos') {
+        html += `<label>Tensión umbral Vth (V): <input type="number" id="prop-vth" value="${comp.vth}" min="0" step="0.1"></label>`;
+    } else if (comp.type === 'multimeter') {
+        const options = METER_MODES.map(m =>
+            `<option value="${m.mode}" ${comp.mode === m.mode ? 'selected' : ''}>${m.name}</option>`).join('');
+        html += `<label>Modo: <select id="prop-meter-mode">${options}</select></label>`;
+    } else if (comp.type === 'fuse') {
+        html += `<label>Corriente máxima (A): <input type="number" id="prop-max-current" value="${comp.maxCurrent}" min="0.01" step="0.1"></label>`;
     } else if (comp.type === 'bulb') {
         html += `<p>Resistencia Nominal: ${comp.resistance}Ω</p>`;
     } else if (comp.type === 'ldr') {
@@ -614,7 +1627,32 @@ function updatePropertiesPanel(comp) {
         html += `<label>Luz (%): <input type="range" id="prop-light" value="${lightVal}" min="0" max="100"></label>`;
     } else if (comp.type === 'potentiometer') {
         // Slider for Resistance
-        html += `<label>Ajuste: <input type="range" id="prop-pot" value="${comp.resistance}" min="0" max="500"></label>`;
+        // Slider moves the wiper from A (0%) to B (100%)
+        html += `<label>Resistencia total (Ω): <input type="number" id="prop-pot-max" value="${comp.maxResistance}" min="1" step="100"></label>`;
+        html += `<label>Ajuste (cursor): <input type="range" id="prop-pot" value="${Math.round(comp.wiperPos * 100)}" min="0" max="100"></label>`;
+    } else if (comp.type === 'led') {
+        const names = { red: 'Rojo', green: 'Verde', blue: 'Azul', white: 'Blanco' };
+        const options = Object.keys(LED_COLORS).map(k =>
+            `<option value="${k}" ${comp.color === k ? 'selected' : ''}>${names[k]} (${LED_COLORS[k].vf}V)</option>`).join('');
+        html += `<label>Color: <select id="prop-led-color">${options}</select></label>`;
+    } else if (comp.type === 'capacitor') {
+        // Stored in Farads, edited in µF
+        html += `<label>Capacidad (µF): <input type="number" id="prop-capacitance" value="${+(comp.capacitance * 1e6).toPrecision(6)}" min="0.001" step="100"></label>`;
+    } else if (comp.type === 'inductor') {
+        html += `<label>Inductancia (H): <input type="number" id="prop-inductance" value="${comp.inductance}" min="0.001" step="0.1"></label>`;
+    }
+
+    if (comp.type !== 'joint' && comp.type !== 'ground') {
+        html += '<p id="prop-energy" class="energy-readout"></p>';
+    }
+    if (teacherMode && getFaultTypes(comp.type).length > 0) {
+        html += faultSelectHtml(getFaultTypes(comp.type), comp.fault);
+    }
+
+    // Parts with a rating can break; repairing puts them back in the circuit
+    if (comp.maxPower !== undefined || comp.maxCurrent !== undefined) {
+        const repairLabel = comp.type === 'multimeter' ? 'Cambiar fusible' : 'Reparar';
+        html += `<button id="btn-repair" style="background:#FF9800; color:white; border:none; padding:5px 10px; cursor:pointer;">🔧 ${repairLabel}</button>`;
     }
 
     if (comp.type !== 'wire' && comp.type !== 'joint') {
@@ -625,23 +1663,188 @@ function updatePropertiesPanel(comp) {
     }
 
     panel.innerHTML = html;
+    updateEnergyReadout();
+    bindFaultSelect(comp, false);
+
+    // Challenge parts can be looked at and repaired, not edited
+    if (comp.locked) {
+        panel.querySelectorAll('input, select, button').forEach(el => {
+            if (el.id !== 'btn-repair') el.disabled = true;
+        });
+        panel.insertAdjacentHTML('beforeend', '<p>🔒 Pieza del ejercicio</p>');
+    }
 
     // Event Listeners
     const inpV = document.getElementById('prop-voltage');
     if (inpV) {
         inpV.onchange = (e) => {
             comp.voltage = parseFloat(e.target.value);
+            comp.preset = 'custom'; // No longer the preset's cell
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(inpV, comp, ['voltage', 'preset'], 'Cambiar voltaje');
+    }
+    // Battery: a preset fills in voltage, internal resistance and a full charge
+    const selPreset = document.getElementById('prop-battery-preset');
+    if (selPreset) {
+        selPreset.onchange = (e) => {
+            comp.preset = e.target.value;
+            const preset = BATTERY_PRESETS[comp.preset];
+            if (preset) {
+                Object.assign(comp, preset);
+                comp.charge = preset.capacity;
+            }
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(selPreset, comp, ['preset', 'voltage', 'resistance', 'capacity', 'charge'], 'Cambiar tipo de batería');
+    }
+    const inpIntR = document.getElementById('prop-internal-r');
+    if (inpIntR) {
+        inpIntR.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val >= 0) comp.resistance = val;
+            comp.preset = 'custom';
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpIntR, comp, ['resistance', 'preset'], 'Cambiar resistencia interna');
+    }
+    const inpCap = document.getElementById('prop-capacity');
+    if (inpCap) {
+        inpCap.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val >= 0) {
+                comp.capacity = val;
+                comp.charge = val; // A new capacity starts full
+            }
+            comp.preset = 'custom';
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(inpCap, comp, ['capacity', 'charge', 'preset'], 'Cambiar capacidad');
+    }
+    const selDrain = document.getElementById('prop-drain');
+    if (selDrain) {
+        selDrain.onchange = (e) => {
+            comp.drainScale = parseFloat(e.target.value);
+        };
+        trackPropertyEdits(selDrain, comp, ['drainScale'], 'Cambiar velocidad de descarga');
+    }
+    const btnRecharge = document.getElementById('btn-recharge');
+    if (btnRecharge) {
+        btnRecharge.onclick = () => {
+            const before = pickProps(comp, ['charge']);
+            comp.charge = comp.capacity;
+            recordPropertyChange('Recargar batería', comp, before, pickProps(comp, ['charge']));
             engine.solve();
             draw();
         };
     }
+
     const inpR = document.getElementById('prop-resistance');
     if (inpR) {
         inpR.onchange = (e) => {
-            comp.resistance = parseFloat(e.target.value);
+            const val = parseFloat(e.target.value);
+            if (Number.isFinite(val) && val > 0) comp.resistance = val; // Otherwise the panel puts the old value back
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(inpR, comp, ['resistance'], 'Cambiar resistencia');
+    }
+    // Relay thresholds, edited in mA. Drop-out stays strictly below pick-up so there is always some hysteresis:
+    // a drop-out at or above it is rejected, and lowering the pick-up past it halves the drop-out.
+    const inpPickup = document.getElementById('prop-pickup');
+    if (inpPickup) {
+        inpPickup.onchange = (e) => {
+            const val = parseFloat(e.target.value) / 1000;
+            if (val > 0) {
+                comp.pickupCurrent = val;
+                if (comp.dropoutCurrent >= val) comp.dropoutCurrent = val / 2;
+            }
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(inpPickup, comp, ['pickupCurrent', 'dropoutCurrent'], 'Cambiar corriente de activación');
+    }
+    const inpDropout = document.getElementById('prop-dropout');
+    if (inpDropout) {
+        inpDropout.onchange = (e) => {
+            const val = parseFloat(e.target.value) / 1000;
+            if (val > 0 && val < comp.pickupCurrent) comp.dropoutCurrent = val;
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(inpDropout, comp, ['dropoutCurrent'], 'Cambiar corriente de desconexión');
+    }
+
+    const inpBeta = document.getElementById('prop-beta');
+    if (inpBeta) {
+        inpBeta.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val >= 1) comp.beta = val;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpBeta, comp, ['beta'], 'Cambiar ganancia');
+    }
+    const inpVth = document.getElementById('prop-vth');
+    if (inpVth) {
+        inpVth.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val >= 0) comp.vth = val;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpVth, comp, ['vth'], 'Cambiar tensión umbral');
+    }
+    const selMode = document.getElementById('prop-meter-mode');
+    if (selMode) {
+        selMode.onchange = (e) => {
+            comp.mode = e.target.value;
+            engine.solve();
+            updatePropertiesPanel(comp);
+            draw();
+        };
+        trackPropertyEdits(selMode, comp, ['mode'], 'Cambiar modo del multímetro');
+    }
+    const inpMaxP = document.getElementById('prop-max-power');
+    if (inpMaxP) {
+        inpMaxP.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val >= 0) comp.maxPower = val;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpMaxP, comp, ['maxPower'], 'Cambiar potencia máxima');
+    }
+    const inpMaxI = document.getElementById('prop-max-current');
+    if (inpMaxI) {
+        inpMaxI.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val > 0) comp.maxCurrent = val;
             engine.solve();
             draw();
         };
+        trackPropertyEdits(inpMaxI, comp, ['maxCurrent'], 'Cambiar corriente máxima');
+    }
+    const btnRepair = document.getElementById('btn-repair');
+    if (btnRepair) {
+        btnRepair.onclick = () => {
+            if (!comp.broken) return;
+            const before = pickProps(comp, ['broken']);
+            comp.broken = false;
+            recordPropertyChange('Reparar', comp, before, pickProps(comp, ['broken']));
+            engine.solve(); // Breaks again if the circuit still overloads it
+            draw();
+        };
     }
 
     // LDR Slider
@@ -658,36 +1861,76 @@ function updatePropertiesPanel(comp) {
             // but the text is static HTML. 
             // We'll rely on the text ON THE COMPONENT updating via draw().
         };
+        trackPropertyEdits(inpLight, comp, ['resistance'], 'Cambiar luz');
     }
 
     // Potentiometer Slider
     const inpPot = document.getElementById('prop-pot');
     if (inpPot) {
         inpPot.oninput = (e) => {
+            comp.wiperPos = parseFloat(e.target.value) / 100;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpPot, comp, ['wiperPos'], 'Ajustar potenciómetro');
+    }
+    const inpPotMax = document.getElementById('prop-pot-max');
+    if (inpPotMax) {
+        inpPotMax.onchange = (e) => {
             const val = parseFloat(e.target.value);
-            comp.resistance = val;
-            if (comp.resistance < 0.001) comp.resistance = 0.001;
+            if (val > 0) comp.maxResistance = val;
             engine.solve();
             draw();
         };
+        trackPropertyEdits(inpPotMax, comp, ['maxResistance'], 'Cambiar resistencia total');
     }
 
-    const btnRot = document.getElementById('btn-rotate-comp');
-    if (btnRot) {
-        btnRot.onclick = () => {
-            comp.rotation = (comp.rotation || 0) + 1;
+    const selColor = document.getElementById('prop-led-color');
+    if (selColor) {
+        selColor.onchange = (e) => {
+            comp.color = e.target.value;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(selColor, comp, ['color'], 'Cambiar color');
+    }
+
+    const inpC = document.getElementById('prop-capacitance');
+    if (inpC) {
+        inpC.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val > 0) comp.capacitance = val * 1e-6;
+            engine.solve();
             draw();
         };
+        trackPropertyEdits(inpC, comp, ['capacitance'], 'Cambiar capacidad');
+    }
+    const inpL = document.getElementById('prop-inductance');
+    if (inpL) {
+        inpL.onchange = (e) => {
+            const val = parseFloat(e.target.value);
+            if (val > 0) comp.inductance = val;
+            engine.solve();
+            draw();
+        };
+        trackPropertyEdits(inpL, comp, ['inductance'], 'Cambiar inductancia');
+    }
+
+    const btnRot = document.getElementById('btn-rotate-comp');
+    if (btnRot) {
+        btnRot.onclick = () => rotateComponent(comp);
     }
 
     const btnDel = document.getElementById('btn-delete-comp');
     if (btnDel) {
         btnDel.onclick = () => {
-            // remove comp
-            engine.components = engine.components.filter(c => c !== comp);
-            // remove associated wires?
-            // Visual wires refer to comp
-            visualWires = visualWires.filter(w => w.startComp !== comp && w.endComp !== comp);
+            editCircuit('Borrar componente', () => {
+                // remove comp
+                engine.components = engine.components.filter(c => c !== comp);
+                // remove associated wires?
+                // Visual wires refer to comp
+                visualWires = visualWires.filter(w => w.startComp !== comp && w.endComp !== comp);
+            });
 
             rebuildCircuit();
             selectedComponent = null;
@@ -699,7 +1942,9 @@ function updatePropertiesPanel(comp) {
 
 function getComponentAt(x, y) {
     return engine.components.find(c => {
-        if (c.type === 'joint') return dist(x, y, c.x, c.y) < 25; // Increased from 10
+        // Small parts are grabbed around their centre (see hitRadius); the others by their drawn body
+        if (c.type === 'joint') return dist(x, y, c.x, c.y) < hitRadius(25); // Increased from 10
+        if (c.type === 'ground') return dist(x, y, c.x, c.y) < hitRadius(20);
         const r = c.rotation || 0;
         const w = (r % 2 === 0) ? 40 : 25;
         const h = (r % 2 === 0) ? 25 : 40;
@@ -708,40 +1953,46 @@ function getComponentAt(x, y) {
 }
 function dist(x1, y1, x2, y2) { return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2); }
 
-function mergeNodes(nodeA, nodeB) {
-    if (nodeA === nodeB) return;
-    engine.components.forEach(c => {
-        // Replace all occurrences of nodeB with nodeA
-        for (let i = 0; i < c.nodes.length; i++) {
-            if (c.nodes[i] === nodeB) c.nodes[i] = nodeA;
-        }
-    });
-    if (nodeB.isGND) nodeA.isGND = true;
-    engine.nodes = engine.nodes.filter(n => n !== nodeB);
+// Parts of a challenge's starting circuit (and the wires between them) stay where the exercise put them
+function isWireLocked(wire) {
+    return !!(wire.startComp.locked && wire.endComp.locked);
+}
+
+function rotateComponent(comp) {
+    if (comp.locked) return;
+    const before = pickProps(comp, ['rotation']);
+    comp.rotation = ((comp.rotation || 0) + 1) % 4;
+    recordPropertyChange('Girar', comp, before, pickProps(comp, ['rotation']));
+    draw();
 }
 
 window.rotateSelected = () => {
-    if (selectedComponent) {
-        selectedComponent.rotation = (selectedComponent.rotation + 1) % 4;
-        draw();
-    }
+    if (selectedGroup.length > 0) rotateGroup();
+    else if (selectedComponent) rotateComponent(selectedComponent);
 };
 
 window.deleteSelected = () => {
-    if (selectedComponent) {
-        engine.components = engine.components.filter(c => c !== selectedComponent);
-        visualWires = visualWires.filter(w => w.startComp !== selectedComponent && w.endComp !== selectedComponent);
+    if (selectedGroup.length > 0) {
+        deleteGroup();
+    } else if (selectedComponent) {
+        if (selectedComponent.locked) return;
+        editCircuit('Borrar componente', () => {
+            engine.components = engine.components.filter(c => c !== selectedComponent);
+            visualWires = visualWires.filter(w => w.startComp !== selectedComponent && w.endComp !== selectedComponent);
+            removeOrphanedJoints();
+        });
 
         selectedComponent = null;
         updatePropertiesPanel(null);
-        removeOrphanedJoints();
         rebuildCircuit();
         draw();
-    } else if (selectedWire) {
+    } else if (selectedWire && !isWireLocked(selectedWire.wire)) {
         const idx = visualWires.indexOf(selectedWire.wire);
         if (idx !== -1) {
-            visualWires.splice(idx, 1);
-            removeOrphanedJoints();
+            editCircuit('Borrar cable', () => {
+                visualWires.splice(idx, 1);
+                removeOrphanedJoints();
+            });
             rebuildCircuit();
             selectedWire = null;
             updatePropertiesPanel(null);
@@ -750,10 +2001,137 @@ window.deleteSelected = () => {
     }
 };
 
+// --- Multi-Selection & Clipboard ---
+// A single part lives in selectedComponent; two or more live in selectedGroup (locked parts are never grouped).
+
+function getSelectedComponents() {
+    if (selectedGroup.length > 0) return selectedGroup;
+    return selectedComponent ? [selectedComponent] : [];
+}
+
+function setSelection(comps) {
+    selectedWire = null;
+    if (comps.length === 1) {
+        selectedGroup = [];
+        selectedComponent = comps[0];
+        updatePropertiesPanel(comps[0]);
+    } else {
+        selectedGroup = comps;
+        selectedComponent = null;
+        updatePropertiesPanel(comps.length > 0 ? { type: 'group' } : null);
+    }
+    draw();
+}
+
+// Wires with both ends in the group move (and rotate) with it, bends included
+function getGroupWires(comps) {
+    return visualWires.filter(w => comps.includes(w.startComp) && comps.includes(w.endComp));
+}
+
+function captureGroupLayout(comps) {
+    return [
+        ...comps.map(c => ({ obj: c, before: pickProps(c, ['x', 'y', 'rotation']) })),
+        ...getGroupWires(comps).map(w => ({ obj: w, before: pickProps(w, ['bends']) }))
+    ];
+}
+
+function recordGroupLayout(label, layout) {
+    recordPropertyChanges(label, layout.map(e => ({ ...e, after: pickProps(e.obj, Object.keys(e.before)) })));
+}
+
+function moveGroupTo(drag, dx, dy) {
+    drag.start.forEach(({ obj, before }) => {
+        if (obj.startComp) {
+            if (before.bends) obj.bends = before.bends.map(b => ({ x: b.x + dx, y: b.y + dy }));
+        } else {
+            obj.x = before.x + dx;
+            obj.y = before.y + dy;
+        }
+    });
+}
+
+// Quarter turn clockwise around the centre of the group
+function rotateGroup() {
+    const layout = captureGroupLayout(selectedGroup);
+    const cx = snapToGrid(selectedGroup.reduce((s, c) => s + c.x, 0) / selectedGroup.length);
+    const cy = snapToGrid(selectedGroup.reduce((s, c) => s + c.y, 0) / selectedGroup.length);
+    const turn = (p) => ({ x: cx - (p.y - cy), y: cy + (p.x - cx) });
+    layout.forEach(({ obj }) => {
+        if (obj.startComp) {
+            if (obj.bends) obj.bends = obj.bends.map(turn);
+        } else {
+            Object.assign(obj, turn(obj));
+            obj.rotation = ((obj.rotation || 0) + 1) % 4;
+        }
+    });
+    recordGroupLayout('Girar grupo', layout);
+    draw();
+}
+
+function deleteGroup() {
+    const group = selectedGroup;
+    editCircuit('Borrar grupo', () => {
+        engine.components = engine.components.filter(c => !group.includes(c));
+        visualWires = visualWires.filter(w => !group.includes(w.startComp) && !group.includes(w.endComp));
+        removeOrphanedJoints();
+    });
+    setSelection([]);
+    rebuildCircuit();
+    draw();
+}
+
+// Exercise parts stay out: a copy would be an unlocked part the exercise's palette may not offer
+function copySelection() {
+    const comps = getSelectedComponents().filter(c => !c.locked);
+    if (comps.length === 0) return;
+    clipboard = { ...serializeParts(comps, visualWires), pastes: 0 };
+}
+
+// Each paste lands a little further down and to the right, and becomes the new selection
+function pasteClipboard() {
+    if (!clipboard) return;
+    clipboard.pastes++;
+    const offset = 2 * GRID_SIZE * clipboard.pastes;
+    // During a challenge only the exercise's palette may be pasted (the clipboard can be older)
+    const palette = challenge && challenge.lesson.exercises[challenge.index].palette;
+    const doc = palette
+        ? { ...clipboard, components: clipboard.components.filter(c => c.type === 'joint' || palette.includes(c.type)) }
+        : clipboard;
+    if (doc.components.length === 0) return;
+    const pasted = editCircuit('Pegar', () => {
+        const parts = instantiateParts(engine, doc, offset, offset);
+        visualWires.push(...parts.wires);
+        return parts.components;
+    });
+    rebuildCircuit();
+    setSelection(pasted);
+}
+
 window.addEventListener('keydown', (e) => {
     // Ignore hotkeys if user is typing in an input field
     if (document.activeElement && document.activeElement.tagName === 'INPUT') return;
 
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C')) {
+        copySelection();
+        return;
+    }
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'v' || e.key === 'V')) {
+        e.preventDefault();
+        pasteClipboard();
+        return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+        return;
+    }
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || e.key === 'Y')) {
+        e.preventDefault();
+        redo();
+        return;
+    }
+
     if (e.key === 'r' || e.key === 'R') rotateSelected();
     if (e.key === 'Delete' || e.key === 'Backspace') deleteSelected();
 });
@@ -761,56 +2139,79 @@ window.addEventListener('keydown', (e) => {
 
 // --- Rendering ---
 function draw() {
-    // Fill Background for JPG compatibility
-    ctx.fillStyle = '#f0f0f0';
+    // Fill Background for JPG compatibility (exports get plain paper)
+    ctx.fillStyle = exportOptions ? '#fff' : '#f0f0f0';
     ctx.fillRect(0, 0, width, height);
 
-    // Optional: Draw Grid
-    ctx.strokeStyle = '#e0e0e0';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let x = 0; x < width; x += 20) { ctx.moveTo(x, 0); ctx.lineTo(x, height); }
-    for (let y = 0; y < height; y += 20) { ctx.moveTo(0, y); ctx.lineTo(width, y); }
-    ctx.stroke();
-    // Grid logic can be added if needed
+    // Everything below is drawn in world coordinates
+    ctx.save();
+    ctx.scale(camera.zoom, camera.zoom);
+    ctx.translate(-camera.x, -camera.y);
+
+    // Grid over the visible part of the world
+    if (!exportOptions) {
+        const left = Math.floor(camera.x / 20) * 20;
+        const top = Math.floor(camera.y / 20) * 20;
+        const right = camera.x + width / camera.zoom;
+        const bottom = camera.y + height / camera.zoom;
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1 / camera.zoom;
+        ctx.beginPath();
+        for (let x = left; x < right; x += 20) { ctx.moveTo(x, top); ctx.lineTo(x, bottom); }
+        for (let y = top; y < bottom; y += 20) { ctx.moveTo(left, y); ctx.lineTo(right, y); }
+        ctx.stroke();
+    }
 
     // 1. Wires
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
 
-    visualWires.forEach((wire, idx) => {
-        const startTerms = getTransformedTerminals(wire.startComp);
-        const endTerms = getTransformedTerminals(wire.endComp);
-
-        const getTermPos = (terms, idx) => {
-            if (idx === 0) return terms.t0;
-            if (idx === 1) return terms.t1;
-            if (idx === 2) return terms.t2;
-            return terms.t0;
-        };
+    // Exports show the plain circuit: no warnings, analysis or current dots
+    const flagged = exportOptions ? getFlaggedItems([]) : getFlaggedItems();
+    const analysis = (analysisOpen && !exportOptions) ? getAnalysisFocus() : {};
+    const kvl = analysis.comp ? engine.getLoopVoltages(analysis.comp) : null;
+    const loopComps = new Set(kvl ? kvl.steps.map(s => s.comp) : []);
 
-        let start = getTermPos(startTerms, wire.startTerm);
-        let end = getTermPos(endTerms, wire.endTerm);
+    visualWires.forEach((wire, idx) => {
+        const points = getWirePoints(wire);
+        const wireNode = wire.startComp.nodes[wire.startTerm];
 
         // Highlight selected wire
         if (selectedWire && selectedWire.wire === wire) {
             ctx.strokeStyle = '#FF9800'; // Orange
             ctx.lineWidth = 6;
+        } else if (flagged.errorNodes.has(wireNode)) {
+            ctx.strokeStyle = '#E53935'; // Red: part of a diagnosed error
+            ctx.lineWidth = 5;
+        } else if (analysis.node && analysis.node === wireNode) {
+            ctx.strokeStyle = '#8E24AA'; // Purple: node under KCL analysis
+            ctx.lineWidth = 5;
         } else {
             ctx.strokeStyle = '#555';
             ctx.lineWidth = 3;
         }
 
-        ctx.beginPath();
-        ctx.moveTo(start.x, start.y);
-        ctx.lineTo(end.x, end.y);
+        tracePolyline(points);
         ctx.stroke();
 
+        // Dashed red overlay: wire on a node with a warning
+        if (flagged.warningNodes.has(wireNode) && !flagged.errorNodes.has(wireNode)) {
+            ctx.strokeStyle = '#E53935'; ctx.lineWidth = 2; ctx.setLineDash([6, 6]);
+            tracePolyline(points); ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
         // Logic to determine Current Flow based on Component Topology
         // This avoids "Drawing Direction" bias and "Zero Voltage Drop" issues with ideal wires.
 
         // Helper to get current from a component active path
         const getCompCurrent = (comp, termIdx) => {
+            // Multi-terminal parts store the current INTO each terminal.
+            // Term 0 reports it as input, the rest as output (see sign convention below).
+            if (comp.terminalCurrents) {
+                const i = comp.terminalCurrents[termIdx] || 0;
+                return (termIdx === 0) ? i : -i;
+            }
             if (!comp.current) return 0;
             if (comp.type === 'spdt') {
                 // If Term 0 (Common), always carries current
@@ -856,8 +2257,8 @@ function draw() {
         }
 
         let flowRate = current; // Simplified for visual
-        if (Math.abs(flowRate) > 1e-5) {
-            const d = dist(start.x, start.y, end.x, end.y);
+        if (Math.abs(flowRate) > 1e-5 && !exportOptions) {
+            const d = getPolylineLength(points);
             // Limit speed visually
             let visualCurrent = flowRate;
             // Cap visual speed
@@ -872,32 +2273,505 @@ function draw() {
                 let t = ((i * spacing) + offset) / d;
                 if (speed > 0) t = t - Math.floor(t);
                 else t = 1 - (Math.abs(t) - Math.floor(Math.abs(t)));
-                const lx = start.x + (end.x - start.x) * t;
-                const ly = start.y + (end.y - start.y) * t;
-                ctx.beginPath(); ctx.arc(lx, ly, 2, 0, Math.PI * 2); ctx.fill();
+                const p = getPointAlong(points, t * d);
+                ctx.beginPath(); ctx.arc(p.x, p.y, 2, 0, Math.PI * 2); ctx.fill();
             }
         }
     });
 
+    // Bend handles of the selected wire
+    if (selectedWire && selectedWire.wire.bends && !isWireLocked(selectedWire.wire)) {
+        ctx.fillStyle = '#FF9800'; ctx.strokeStyle = 'white'; ctx.lineWidth = 2;
+        selectedWire.wire.bends.forEach(b => {
+            ctx.beginPath(); ctx.arc(b.x, b.y, 6, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        });
+    }
+
     // 2. Components
     engine.components.forEach(c => {
         ctx.save();
         ctx.translate(c.x, c.y);
         ctx.rotate((c.rotation || 0) * Math.PI / 2);
+        if (flagged.errorComponents.has(c) || flagged.warningComponents.has(c)) {
+            drawDiagnosticHalo(c, flagged.errorComponents.has(c));
+        }
+        if (loopComps.has(c)) drawAnalysisHalo(c);
         drawComponentBody(c);
         ctx.restore();
+        if (c.label || c.locked) drawPartTag(c);
+        if (teacherMode && c.fault && !exportOptions) drawFaultMark(c.x, c.y);
+        if (exportOptions) drawExportNotes(c);
     });
 
-    // 3. Drawing Wire
+    if (teacherMode && !exportOptions) {
+        visualWires.forEach(w => {
+            if (!w.fault) return;
+            const points = getWirePoints(w);
+            const mid = getPointAlong(points, getPolylineLength(points) / 2);
+            drawFaultMark(mid.x, mid.y);
+        });
+    }
+
+    // 3. Automatic 0V references, and node names while the analysis panel is open
+    drawAutoReferences();
+    if (analysisOpen && !exportOptions) drawNodeLabels();
+
+    // 4. Drawing Wire
     if (isDrawingWire && wireStartTerminal) {
         ctx.strokeStyle = '#2196F3'; ctx.lineWidth = 2; ctx.setLineDash([5, 5]);
-        ctx.beginPath(); ctx.moveTo(wireStartTerminal.x, wireStartTerminal.y);
-        ctx.lineTo(mouseX, mouseY); ctx.stroke(); ctx.setLineDash([]);
+        const preview = routeWire([wireStartTerminal, { x: snapToGrid(mouseX), y: snapToGrid(mouseY) }],
+            getTerminalAxis(wireStartTerminal.component, wireStartTerminal.index), null);
+        tracePolyline(preview); ctx.stroke(); ctx.setLineDash([]);
+    }
+
+    // 5. Selection rectangle
+    if (rubberBand) {
+        ctx.strokeStyle = '#2196F3'; ctx.fillStyle = 'rgba(33, 150, 243, 0.1)';
+        ctx.lineWidth = 1 / camera.zoom; ctx.setLineDash([4 / camera.zoom, 4 / camera.zoom]);
+        const rx = Math.min(rubberBand.x0, rubberBand.x1);
+        const ry = Math.min(rubberBand.y0, rubberBand.y1);
+        const rw = Math.abs(rubberBand.x1 - rubberBand.x0);
+        const rh = Math.abs(rubberBand.y1 - rubberBand.y0);
+        ctx.fillRect(rx, ry, rw, rh); ctx.strokeRect(rx, ry, rw, rh);
+        ctx.setLineDash([]);
+    }
+
+    ctx.restore();
+}
+
+// --- Diagnostics (Warnings Panel & Highlighting) ---
+// Errors make the numbers wrong; warnings point at probable wiring mistakes.
+const DIAGNOSTIC_ERRORS = ['short-circuit', 'parallel-sources', 'singular', 'ill-conditioned', 'no-convergence'];
+
+// Plain text: escape it before putting it into HTML
+function getComponentLabel(comp) {
+    const item = [...document.querySelectorAll('.draggable-item')].find(el => el.dataset.type === comp.type);
+    const span = item && item.querySelector('span');
+    const name = span ? span.textContent : (comp.type === 'joint' ? 'Nodo' : comp.type);
+    return `${name} #${comp.id.replace('comp_', '')}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatDiagnostic(d) {
+    const names = d.components.map(getComponentLabel);
+    switch (d.code) {
+        case 'short-circuit':
+            return `Cortocircuito: ${names[0]} está unida sin resistencia` +
+                (names.length > 1 ? ` a través de ${names.slice(1).join(', ')}.` : ' por un cable.');
+        case 'parallel-sources':
+            return `${names[0]} y ${names[1]} están en paralelo directo y no tienen resistencia interna: dos fuentes ideales no pueden fijar la misma tensión.`;
+        case 'circulating-current':
+            return `${names[0]} y ${names[1]} están en paralelo con tensiones distintas: la más cargada hace circular corriente por la otra y ambas se descargan.`;
+        case 'floating':
+            return `Sin alimentación: ${names.join(', ')} no ${names.length > 1 ? 'están conectados' : 'está conectado'} a ninguna fuente.`;
+        case 'dangling':
+            return `${names[0]} tiene un terminal sin conectar.`;
+        case 'ohmmeter-powered':
+            return `${names[0]} en modo Ω mide un circuito alimentado: desconecta la pila para medir resistencias.`;
+        case 'broken':
+            if (d.components[0].type === 'multimeter') {
+                return `${names[0]} tiene el fusible fundido: ¿medías corriente en paralelo? Pulsa "Cambiar fusible".`;
+            }
+            return `${names[0]} se ha roto por sobrecarga: selecciónalo y pulsa "Reparar".`;
+        case 'singular':
+            return 'Las ecuaciones del circuito no tienen solución única: algunos valores se muestran como 0.';
+        case 'ill-conditioned':
+            return 'Las ecuaciones del circuito están mal condicionadas: los valores pueden ser imprecisos.';
+        case 'no-convergence':
+            return `El cálculo no converge (${engine.iterations} iteraciones): los valores pueden ser incorrectos.`;
+        default:
+            return d.code;
+    }
+}
+
+function getFlaggedItems(diagnostics = engine.diagnostics) {
+    const flagged = { errorComponents: new Set(), warningComponents: new Set(), errorNodes: new Set(), warningNodes: new Set() };
+    diagnostics.forEach(d => {
+        const isError = DIAGNOSTIC_ERRORS.includes(d.code);
+        d.components.forEach(c => (isError ? flagged.errorComponents : flagged.warningComponents).add(c));
+        d.nodes.forEach(n => (isError ? flagged.errorNodes : flagged.warningNodes).add(n));
+    });
+    return flagged;
+}
+
+// Drawn in component coordinates, behind the body
+function drawDiagnosticHalo(c, isError) {
+    const small = (c.type === 'joint' || c.type === 'ground');
+    const w = small ? 40 : 96;
+    const h = small ? 40 : 60;
+    ctx.strokeStyle = '#E53935'; ctx.lineWidth = 2;
+    if (isError) {
+        ctx.fillStyle = 'rgba(229, 57, 53, 0.15)';
+        ctx.fillRect(-w / 2, -h / 2, w, h);
+    } else {
+        ctx.setLineDash([5, 4]);
+    }
+    ctx.strokeRect(-w / 2, -h / 2, w, h);
+    ctx.setLineDash([]);
+}
+
+// Exercise label and padlock, above the part and unrotated
+function drawPartTag(c) {
+    ctx.font = 'bold 11px sans-serif'; ctx.fillStyle = '#E65100';
+    ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+    ctx.fillText(`${c.locked && !exportOptions ? '🔒' : ''}${c.label || ''}`, c.x - 40, c.y - 28);
+}
+
+let lastWarningsKey = null;
+
+// Re-renders the sidebar list only when the set of problems changes
+function updateWarningsPanel() {
+    const panel = document.getElementById('warnings-panel');
+    const list = document.getElementById('warnings-list');
+    if (!panel || !list) return;
+
+    const key = engine.diagnostics.map(d => d.code + d.components.map(c => c.id).join(',')).join('|');
+    if (key === lastWarningsKey) return;
+    lastWarningsKey = key;
+
+    list.innerHTML = '';
+    panel.style.display = engine.diagnostics.length ? 'block' : 'none';
+    engine.diagnostics.forEach(d => {
+        const li = document.createElement('li');
+        li.className = DIAGNOSTIC_ERRORS.includes(d.code) ? 'warning-error' : 'warning-minor';
+        li.textContent = formatDiagnostic(d);
+        if (d.components.length > 0) {
+            li.title = 'Seleccionar';
+            li.onclick = () => {
+                selectedComponent = d.components[0];
+                selectedWire = null;
+                updatePropertiesPanel(selectedComponent);
+                draw();
+            };
+        }
+        list.appendChild(li);
+    });
+}
+
+// Marks the node the engine picked as 0V in every island without a ground symbol,
+// so the user can see what the voltages are measured against.
+function drawAutoReferences() {
+    const marked = new Set();
+    engine.components.forEach(c => {
+        c.nodes.forEach((n, i) => {
+            if (!n || !n.autoGround || marked.has(n)) return;
+            marked.add(n);
+            const p = getTerminalPos(c, i);
+
+            ctx.save();
+            ctx.translate(p.x, p.y + 12);
+            ctx.globalAlpha = 0.5;
+            ctx.strokeStyle = '#1976D2'; ctx.lineWidth = 1.5;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath(); ctx.moveTo(0, -12); ctx.lineTo(0, 0); ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(-8, 0); ctx.lineTo(8, 0);
+            ctx.moveTo(-5, 4); ctx.lineTo(5, 4);
+            ctx.moveTo(-2, 8); ctx.lineTo(2, 8);
+            ctx.stroke();
+            ctx.font = '9px sans-serif'; ctx.fillStyle = '#1976D2';
+            ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+            ctx.fillText('0V auto', 10, 4);
+            ctx.restore();
+        });
+    });
+}
+
+// RGB of each LED colour when lit
+const LED_GLOW_COLORS = { red: '244, 67, 54', green: '76, 175, 80', blue: '33, 150, 243', white: '255, 253, 231' };
+
+// Operating region of a transistor: label and colour
+const TRANSISTOR_REGIONS = {
+    cutoff: { label: 'corte', color: '#9E9E9E' },
+    active: { label: 'activa', color: '#FF9800' },
+    saturation: { label: 'saturación', color: '#4CAF50' },
+    ohmic: { label: 'óhmica', color: '#4CAF50' }
+};
+
+function drawTransistor(c, isSel) {
+    const isMos = (c.type === 'nmos');
+    const region = TRANSISTOR_REGIONS[c.region] || TRANSISTOR_REGIONS.cutoff;
+    // A MOSFET in saturation is the amplifying region, like an active BJT
+    const tint = (isMos && c.region === 'saturation') ? TRANSISTOR_REGIONS.active.color : region.color;
+
+    // Envelope
+    ctx.fillStyle = tint + '33';
+    ctx.strokeStyle = tint; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.arc(5, 0, 28, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+
+    // Terminals: T0 top, T1 bottom, T2 left
+    ctx.fillStyle = isSel ? '#2196F3' : '#333';
+    [[20, -40], [20, 40], [-40, 0]].forEach(([x, y]) => {
+        ctx.beginPath(); ctx.arc(x, y, 5, 0, Math.PI * 2); ctx.fill();
+    });
+
+    ctx.strokeStyle = '#333'; ctx.fillStyle = '#333';
+    if (isMos) {
+        // Gate plate, broken channel (enhancement) and body arrow pointing in
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-14, 0); ctx.moveTo(-14, -14); ctx.lineTo(-14, 14); ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-8, -18); ctx.lineTo(-8, -8);
+        ctx.moveTo(-8, -4); ctx.lineTo(-8, 4);
+        ctx.moveTo(-8, 8); ctx.lineTo(-8, 18);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-8, -13); ctx.lineTo(20, -13); ctx.lineTo(20, -40);
+        ctx.moveTo(-8, 13); ctx.lineTo(20, 13); ctx.lineTo(20, 40);
+        ctx.moveTo(20, 0); ctx.lineTo(20, 13);
+        ctx.moveTo(-8, 0); ctx.lineTo(20, 0);
+        ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(-7, 0); ctx.lineTo(1, -4); ctx.lineTo(1, 4); ctx.fill();
+    } else {
+        // Base bar, collector and emitter leads
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-10, 0); ctx.moveTo(-10, -16); ctx.lineTo(-10, 16); ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-10, -7); ctx.lineTo(20, -24); ctx.lineTo(20, -40);
+        ctx.moveTo(-10, 7); ctx.lineTo(20, 24); ctx.lineTo(20, 40);
+        ctx.stroke();
+        // Emitter arrow: out of the base for NPN, into it for PNP
+        const [tipX, tipY, backX, backY] = (c.type === 'npn') ? [16, 22, 4, 15] : [-6, 9, 6, 16];
+        const ang = Math.atan2(tipY - backY, tipX - backX);
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - 9 * Math.cos(ang - 0.4), tipY - 9 * Math.sin(ang - 0.4));
+        ctx.lineTo(tipX - 9 * Math.cos(ang + 0.4), tipY - 9 * Math.sin(ang + 0.4));
+        ctx.fill();
+    }
+
+    // Terminal letters and region
+    const letters = isMos ? ['D', 'S', 'G'] : ['C', 'E', 'B'];
+    ctx.font = '10px sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    ctx.fillText(letters[0], 26, -36);
+    ctx.fillText(letters[1], 26, 36);
+    ctx.fillText(letters[2], -38, -9);
+
+    ctx.font = 'bold 10px sans-serif'; ctx.fillStyle = tint; ctx.textAlign = 'left';
+    ctx.fillText(region.label, 36, 0);
+}
+
+// Logic level colours: 1 and 0
+const LOGIC_LEVEL_COLORS = { high: '#43A047', low: '#9E9E9E' };
+
+const IEC_GATE_SYMBOLS = { and: '&', nand: '&', or: '≥1', nor: '≥1', xor: '=1', not: '1' };
+
+function drawLogicPart(c, isSel) {
+    const levelColor = c.high ? LOGIC_LEVEL_COLORS.high : LOGIC_LEVEL_COLORS.low;
+    const terminals = (c.type === 'logicinput') ? [[40, 0]] :
+        (c.type === 'logicprobe') ? [[-40, 0]] :
+            (c.type === 'not') ? [[-40, 0], [40, 0]] : [[-40, -20], [-40, 20], [40, 0]];
+
+    ctx.fillStyle = isSel ? '#2196F3' : '#333';
+    terminals.forEach(([x, y]) => {
+        ctx.beginPath(); ctx.arc(x, y, 5, 0, Math.PI * 2); ctx.fill();
+    });
+    ctx.strokeStyle = '#333'; ctx.lineWidth = 2;
+
+    if (c.type === 'logicinput' || c.type === 'logicprobe') {
+        const name = getLogicNames().get(c);
+        if (c.type === 'logicinput') {
+            // Toggle box showing its level
+            ctx.beginPath(); ctx.moveTo(15, 0); ctx.lineTo(40, 0); ctx.stroke();
+            ctx.fillStyle = levelColor; ctx.fillRect(-25, -15, 40, 30); ctx.strokeRect(-25, -15, 40, 30);
+        } else {
+            // Probe LED, lit red on a 1
+            ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-7, 0); ctx.stroke();
+            if (c.high) { ctx.shadowColor = '#F44336'; ctx.shadowBlur = 15; }
+            ctx.fillStyle = c.high ? '#F44336' : '#5D4037';
+            ctx.beginPath(); ctx.arc(5, 0, 12, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+            ctx.shadowBlur = 0;
+        }
+        const cx = (c.type === 'logicinput') ? -5 : 5;
+        ctx.font = 'bold 14px monospace'; ctx.fillStyle = '#fff'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(c.high ? '1' : '0', cx, 1);
+        ctx.font = 'bold 11px sans-serif'; ctx.fillStyle = '#000'; ctx.textBaseline = 'bottom';
+        ctx.fillText(name, cx, -17);
+        return;
+    }
+
+    // Gate body (ANSI shapes, or IEC rectangles in that view), inputs on the left, output on the right
+    const inverted = (c.type === 'not' || c.type === 'nand' || c.type === 'nor');
+    const inputs = (c.type === 'not') ? [0] : [-20, 20];
+    const iec = symbolStyle === 'iec';
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    if (iec) {
+        const h = (c.type === 'not') ? 16 : 26;
+        ctx.rect(-20, -h, 40, 2 * h);
+    } else if (c.type === 'not') {
+        ctx.moveTo(-18, -16); ctx.lineTo(14, 0); ctx.lineTo(-18, 16); ctx.closePath();
+    } else if (c.type === 'and' || c.type === 'nand') {
+        ctx.moveTo(-20, -20); ctx.lineTo(0, -20); ctx.arc(0, 0, 20, -Math.PI / 2, Math.PI / 2); ctx.lineTo(-20, 20); ctx.closePath();
+    } else {
+        ctx.moveTo(-22, -20); ctx.quadraticCurveTo(5, -20, 20, 0); ctx.quadraticCurveTo(5, 20, -22, 20);
+        ctx.quadraticCurveTo(-12, 0, -22, -20);
+    }
+    ctx.fill(); ctx.stroke();
+    if (c.type === 'xor' && !iec) {
+        ctx.beginPath(); ctx.moveTo(-28, -20); ctx.quadraticCurveTo(-18, 0, -28, 20); ctx.stroke();
+    }
+
+    // Input leads reach the back of the body
+    const back = (iec || c.type === 'and' || c.type === 'nand') ? -20 : (c.type === 'not') ? -18 : -16;
+    inputs.forEach(y => {
+        ctx.beginPath(); ctx.moveTo(-40, y); ctx.lineTo(c.type === 'xor' && !iec ? -24 : back, y); ctx.stroke();
+    });
+
+    // Output lead (and bubble) coloured by the output level
+    const tip = (c.type === 'not' && !iec) ? 14 : 20;
+    let leadStart = tip;
+    if (inverted) {
+        ctx.fillStyle = '#fff';
+        ctx.beginPath(); ctx.arc(tip + 4, 0, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        leadStart = tip + 8;
+    }
+    ctx.strokeStyle = levelColor; ctx.lineWidth = 3;
+    ctx.beginPath(); ctx.moveTo(leadStart, 0); ctx.lineTo(40, 0); ctx.stroke();
+    ctx.lineWidth = 2;
+
+    ctx.font = '8px sans-serif'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    if (iec) {
+        // IEC 60617 qualifying symbol
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(IEC_GATE_SYMBOLS[c.type], 0, 0);
+    } else if (c.type !== 'not') {
+        ctx.fillText(c.type.toUpperCase(), -4, 0);
+    }
+    ctx.font = 'bold 10px monospace'; ctx.fillStyle = levelColor; ctx.textBaseline = 'bottom';
+    ctx.fillText(c.high ? '1' : '0', 34, -4);
+}
+
+function drawRelay(c, isSel) {
+    // Case
+    ctx.fillStyle = '#FAFAFA'; ctx.strokeStyle = '#999'; ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.fillRect(-30, -48, 60, 96); ctx.strokeRect(-30, -48, 60, 96);
+    ctx.setLineDash([]);
+
+    // Terminals: coil+ / coil- on the left; NO, NC, COM on the right
+    ctx.fillStyle = isSel ? '#2196F3' : '#333';
+    [[-40, -20], [-40, 20], [40, 40], [40, -40], [40, 0]].forEach(([x, y]) => {
+        ctx.beginPath(); ctx.arc(x, y, 5, 0, Math.PI * 2); ctx.fill();
+    });
+
+    // Coil (IEC box with a diagonal), orange while energized
+    ctx.strokeStyle = '#333'; ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-40, -20); ctx.lineTo(-15, -20); ctx.lineTo(-15, -14);
+    ctx.moveTo(-40, 20); ctx.lineTo(-15, 20); ctx.lineTo(-15, 14);
+    ctx.stroke();
+    ctx.fillStyle = c.energized ? '#FFB74D' : '#fff';
+    ctx.fillRect(-22, -14, 14, 28); ctx.strokeRect(-22, -14, 14, 28);
+    ctx.beginPath(); ctx.moveTo(-22, 14); ctx.lineTo(-8, -14); ctx.stroke();
+
+    // Contacts: NO at (8, -20), NC at (22, 0), blade pivoting at (15, 28) above COM
+    ctx.beginPath();
+    ctx.moveTo(40, -40); ctx.lineTo(8, -40); ctx.lineTo(8, -20);
+    ctx.moveTo(40, 0); ctx.lineTo(22, 0);
+    ctx.moveTo(40, 40); ctx.lineTo(15, 40); ctx.lineTo(15, 28);
+    ctx.stroke();
+    const [bx, by] = c.energized ? [8, -20] : [22, 0];
+    ctx.beginPath(); ctx.moveTo(15, 28); ctx.lineTo(bx, by); ctx.stroke();
+    ctx.fillStyle = '#333';
+    ctx.beginPath(); ctx.arc(15, 28, 3, 0, Math.PI * 2); ctx.fill();
+
+    // Mechanical link from the coil to the blade
+    ctx.strokeStyle = '#777'; ctx.lineWidth = 1; ctx.setLineDash([3, 3]);
+    ctx.beginPath(); ctx.moveTo(-8, 0); ctx.lineTo((15 + bx) / 2, (28 + by) / 2); ctx.stroke();
+    ctx.setLineDash([]); ctx.lineWidth = 2;
+
+    ctx.font = '9px sans-serif'; ctx.fillStyle = '#000'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    ctx.fillText('NA', 26, -32);
+    ctx.fillText('NC', 26, 8);
+    ctx.fillText('COM', 20, 33);
+    ctx.fillText('+', -38, -30);
+    ctx.fillText('−', -38, 30);
+
+    // "Click" flash right after the contacts move
+    if (c.clickTime !== undefined && performance.now() - c.clickTime < 250) {
+        ctx.font = 'bold 12px sans-serif'; ctx.fillStyle = '#FF5722'; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+        ctx.fillText('¡clic!', 0, -50);
+    }
+}
+
+// --- Multimeter ---
+// Rotary selector positions, in the order a click cycles through them
+const METER_MODES = [
+    { mode: 'voltage', label: 'V', name: 'V DC (voltios)' },
+    { mode: 'current', label: 'A', name: 'A DC (amperios)' },
+    { mode: 'resistance', label: 'Ω', name: 'Ω (ohmios)' },
+    { mode: 'continuity', label: '•))', name: 'Continuidad (pitido)' }
+];
+
+// Auto-ranging 3½-digit display: [range top, scale, prefix, decimals], smallest range first
+const METER_RANGES = {
+    voltage: { unit: 'V', ranges: [[0.2, 1e-3, 'm', 1], [2, 1, '', 3], [20, 1, '', 2], [200, 1, '', 1], [1000, 1, '', 0]] },
+    current: { unit: 'A', ranges: [[0.002, 1e-3, 'm', 3], [0.02, 1e-3, 'm', 2], [0.2, 1e-3, 'm', 1], [10, 1, '', 2]] },
+    resistance: { unit: 'Ω', ranges: [[200, 1, '', 1], [2e3, 1e3, 'k', 3], [2e4, 1e3, 'k', 2], [2e5, 1e3, 'k', 1], [2e6, 1e6, 'M', 3], [2e7, 1e6, 'M', 2]] }
+};
+
+function formatMeterReading(c) {
+    if (c.mode === 'current' && c.broken) return 'FUSE';
+    const reading = c.reading || 0;
+    if (Number.isNaN(reading)) return 'Err';
+    const table = METER_RANGES[c.mode === 'continuity' ? 'resistance' : c.mode];
+    // Pick the first range whose rounded reading still fits under its top
+    for (const [max, scale, prefix, decimals] of table.ranges) {
+        const shown = (reading / scale).toFixed(decimals);
+        if (Math.abs(parseFloat(shown)) < max / scale) return `${shown} ${prefix}${table.unit}`;
+    }
+    return 'OL';
+}
+
+function isMeterBeeping(c) {
+    return c.mode === 'continuity' && c.reading < CONTINUITY_THRESHOLD;
+}
+
+function drawMultimeter(c, isSel) {
+    // Leads: red probe (T0) on the left, black COM (T1) on the right
+    ctx.strokeStyle = '#333'; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-24, 0); ctx.moveTo(24, 0); ctx.lineTo(40, 0); ctx.stroke();
+    ctx.fillStyle = isSel ? '#2196F3' : '#D32F2F';
+    ctx.beginPath(); ctx.arc(-40, 0, 5, 0, Math.PI * 2); ctx.fill();
+    ctx.fillStyle = isSel ? '#2196F3' : '#212121';
+    ctx.beginPath(); ctx.arc(40, 0, 5, 0, Math.PI * 2); ctx.fill();
+
+    // Yellow handheld case
+    ctx.fillStyle = '#FFD54F';
+    ctx.fillRect(-24, -34, 48, 66); ctx.strokeRect(-24, -34, 48, 66);
+
+    // LCD with the auto-ranged reading
+    ctx.fillStyle = '#C5E1A5';
+    ctx.fillRect(-21, -30, 42, 16); ctx.lineWidth = 1; ctx.strokeRect(-21, -30, 42, 16);
+    ctx.font = 'bold 9px monospace'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(formatMeterReading(c), 0, -22);
+
+    // Rotary selector: labels around the knob, pointer at the active mode
+    const angles = [-2.4, -0.75, 0.75, 2.4]; // Radians from straight up
+    ctx.font = '8px sans-serif';
+    METER_MODES.forEach((m, i) => {
+        ctx.fillStyle = m.mode === c.mode ? '#D32F2F' : '#333';
+        ctx.fillText(m.label, Math.sin(angles[i]) * 16, 10 - Math.cos(angles[i]) * 16);
+    });
+    const active = angles[Math.max(0, METER_MODES.findIndex(m => m.mode === c.mode))];
+    ctx.fillStyle = '#424242';
+    ctx.beginPath(); ctx.arc(0, 10, 8, 0, Math.PI * 2); ctx.fill();
+    ctx.strokeStyle = '#fff'; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(0, 10); ctx.lineTo(Math.sin(active) * 8, 10 - Math.cos(active) * 8); ctx.stroke();
+    ctx.strokeStyle = '#333';
+
+    // Continuity beep indicator
+    if (isMeterBeeping(c)) {
+        ctx.font = 'bold 10px sans-serif'; ctx.fillStyle = '#FF5722'; ctx.textBaseline = 'bottom';
+        ctx.fillText('¡piii!', 0, -36);
     }
 }
 
 function drawComponentBody(c) {
-    const isSel = (c === selectedComponent);
+    const isSel = (c === selectedComponent || selectedGroup.includes(c));
 
     // Joint
     if (c.type === 'joint') {
@@ -912,6 +2786,47 @@ function drawComponentBody(c) {
         return;
     }
 
+    // Ground: single terminal on top, earth lines below
+    if (c.type === 'ground') {
+        ctx.fillStyle = isSel ? '#2196F3' : '#333';
+        ctx.beginPath(); ctx.arc(0, -20, 5, 0, Math.PI * 2); ctx.fill();
+        ctx.strokeStyle = '#333'; ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.moveTo(0, -20); ctx.lineTo(0, 0); ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-15, 0); ctx.lineTo(15, 0);
+        ctx.moveTo(-10, 6); ctx.lineTo(10, 6);
+        ctx.moveTo(-5, 12); ctx.lineTo(5, 12);
+        ctx.stroke();
+        return;
+    }
+
+    // Exam-style views: standard symbols for the parts that have one
+    if (symbolStyle !== 'pictorial' && drawSchematicSymbol(c, isSel)) return;
+
+    // Transistors: own terminal layout, envelope tinted by the operating region
+    if (c.type === 'npn' || c.type === 'pnp' || c.type === 'nmos') {
+        drawTransistor(c, isSel);
+        return;
+    }
+
+    // Logic gates, inputs and probes
+    if (LOGIC_GATES[c.type] || c.type === 'logicinput' || c.type === 'logicprobe') {
+        drawLogicPart(c, isSel);
+        return;
+    }
+
+    // Relay: coil on the left, changeover contacts on the right
+    if (c.type === 'relay') {
+        drawRelay(c, isSel);
+        return;
+    }
+
+    // Multimeter: coloured probe sockets, LCD and rotary selector
+    if (c.type === 'multimeter') {
+        drawMultimeter(c, isSel);
+        return;
+    }
+
     // Terminals
     ctx.fillStyle = isSel ? '#2196F3' : '#333';
     ctx.beginPath(); ctx.arc(-40, 0, 5, 0, Math.PI * 2); ctx.fill();
@@ -928,30 +2843,51 @@ function drawComponentBody(c) {
         ctx.beginPath(); ctx.moveTo(-5, -10); ctx.lineTo(-5, 10); ctx.stroke();
         ctx.beginPath(); ctx.moveTo(5, -6); ctx.lineTo(5, 6); ctx.stroke();
         ctx.textAlign = 'center'; ctx.font = '10px sans-serif'; ctx.fillStyle = '#000'; ctx.fillText(`${c.voltage}V`, 0, 25);
+
+        // Charge gauge (only for batteries that run down)
+        if (c.capacity > 0) {
+            const soc = Math.max(c.charge, 0) / c.capacity;
+            ctx.fillStyle = '#eee'; ctx.fillRect(-20, -26, 40, 7);
+            ctx.fillStyle = soc > 0.5 ? '#4CAF50' : (soc > 0.2 ? '#FFC107' : '#f44336');
+            ctx.fillRect(-20, -26, 40 * soc, 7);
+            ctx.lineWidth = 1; ctx.strokeRect(-20, -26, 40, 7); ctx.lineWidth = 2;
+            ctx.font = '9px sans-serif'; ctx.fillStyle = '#000'; ctx.textBaseline = 'bottom';
+            ctx.fillText(`${Math.round(soc * 100)}%`, 0, -27);
+            ctx.textBaseline = 'alphabetic';
+        }
     }
     else if (c.type === 'resistor') {
-        ctx.fillStyle = '#EFEBE9'; ctx.fillRect(-20, -8, 40, 16); ctx.strokeRect(-20, -8, 40, 16);
+        ctx.fillStyle = c.broken ? '#4E342E' : '#EFEBE9'; ctx.fillRect(-20, -8, 40, 16); ctx.strokeRect(-20, -8, 40, 16);
         ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-20, 0); ctx.stroke();
         ctx.beginPath(); ctx.moveTo(20, 0); ctx.lineTo(40, 0); ctx.stroke();
-        ctx.fillStyle = '#f44336'; ctx.fillRect(-12, -8, 4, 16); ctx.fillStyle = '#2196F3'; ctx.fillRect(0, -8, 4, 16);
-        ctx.fillStyle = '#FFC107'; ctx.fillRect(10, -8, 4, 16);
+        if (c.broken) {
+            // Burnt: charred body
+            ctx.font = '20px Arial'; ctx.fillStyle = 'red'; ctx.fillText('💥', -10, -10);
+        } else {
+            ctx.fillStyle = '#f44336'; ctx.fillRect(-12, -8, 4, 16); ctx.fillStyle = '#2196F3'; ctx.fillRect(0, -8, 4, 16);
+            ctx.fillStyle = '#FFC107'; ctx.fillRect(10, -8, 4, 16);
+        }
     }
-    else if (c.type === 'bulb') {
-        const v1 = c.nodes[0] ? c.nodes[0].voltage : 0;
-        const v2 = c.nodes[1] ? c.nodes[1].voltage : 0;
-        const vDrop = Math.abs(v1 - v2);
-
-        let exploded = false;
-        if (vDrop > 12) {
-            c.exploded = true;
+    else if (c.type === 'fuse') {
+        // Glass tube with the fuse wire inside
+        ctx.fillStyle = '#E3F2FD'; ctx.fillRect(-20, -8, 40, 16); ctx.strokeRect(-20, -8, 40, 16);
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-20, 0); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(20, 0); ctx.lineTo(40, 0); ctx.stroke();
+        ctx.lineWidth = 1;
+        if (c.broken) {
+            // Blown: the wire is melted in the middle
+            ctx.beginPath(); ctx.moveTo(-20, 0); ctx.lineTo(-5, 0); ctx.lineTo(-3, -4); ctx.stroke();
+            ctx.beginPath(); ctx.moveTo(20, 0); ctx.lineTo(5, 0); ctx.lineTo(3, 4); ctx.stroke();
+        } else {
+            ctx.beginPath(); ctx.moveTo(-20, 0); ctx.lineTo(20, 0); ctx.stroke();
         }
-        if (c.exploded) exploded = true; // Persist explosion state? User didn't specify persistent, but usually yes.
-        // Actually, let's keep it simple: if condition met, show explode. If removed, unexplode? 
-        // User said "explota", implying broken.
-        // Previous code didn't persist 'exploded' property on object permanently unless I add it.
-        // Let's use instantaneous state for now, or check if I should add `c.isBroken`.
-        // For simplicity: instantaneous.
-        if (vDrop > 12) exploded = true;
+        ctx.lineWidth = 2;
+        ctx.font = '10px sans-serif'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(`${c.maxCurrent}A`, 0, 12);
+    }
+    else if (c.type === 'bulb') {
+        // Burnt out by the engine's damage model (see getDamageStress)
+        const exploded = c.broken;
 
         if (exploded) {
             ctx.fillStyle = `rgba(255, 235, 59, 0.1)`; // Off
@@ -962,8 +2898,8 @@ function drawComponentBody(c) {
             ctx.beginPath(); ctx.moveTo(10, -10); ctx.lineTo(-10, 10); ctx.stroke();
             ctx.font = '20px Arial'; ctx.fillStyle = 'red'; ctx.fillText('💥', -15, -15);
         } else {
-            // Progressive Brightness 0V -> 9V
-            let bright = vDrop / 9.0;
+            // Brightness follows the power the filament burns
+            let bright = (c.power || 0) / BULB_FULL_POWER;
             if (bright > 1) bright = 1;
             if (bright < 0) bright = 0;
 
@@ -1006,12 +2942,7 @@ function drawComponentBody(c) {
         const vDrop = v1 - v2; // Forward: Node0 -> Node1
 
         const I = Math.abs(c.current || 0);
-        let exploded = false;
-
-        // Explode if Current > 20mA (0.02 A)
-        if (I > 0.02) {
-            exploded = true;
-        }
+        const exploded = c.broken; // Above maxCurrent (20mA)
 
         if (exploded) {
             ctx.strokeStyle = '#000';
@@ -1029,8 +2960,9 @@ function drawComponentBody(c) {
             // Ideally we check vDrop > 0 to ensure it's not reverse breakdown (though we don't simulate reverse breakdown current usually).
 
             if (vDrop > 0 && bright > 0.05) {
-                ctx.fillStyle = `rgba(244, 67, 54, ${0.4 + bright * 0.6})`;
-                ctx.shadowColor = '#F44336';
+                const rgb = LED_GLOW_COLORS[c.color] || LED_GLOW_COLORS.red;
+                ctx.fillStyle = `rgba(${rgb}, ${0.4 + bright * 0.6})`;
+                ctx.shadowColor = `rgb(${rgb})`;
                 ctx.shadowBlur = bright * 20;
             } else {
                 ctx.fillStyle = '#555';
@@ -1047,6 +2979,17 @@ function drawComponentBody(c) {
         ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-10, 0); ctx.stroke();
         ctx.beginPath(); ctx.moveTo(10, 0); ctx.lineTo(40, 0); ctx.stroke();
     }
+    else if (c.type === 'diode') {
+        // Anode (T0) -> Cathode (T1): triangle plus cathode bar
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-10, 0); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(10, 0); ctx.lineTo(40, 0); ctx.stroke();
+        ctx.fillStyle = '#333';
+        ctx.beginPath(); ctx.moveTo(-10, -10); ctx.lineTo(-10, 10); ctx.lineTo(10, 0); ctx.fill();
+        ctx.beginPath(); ctx.moveTo(10, -10); ctx.lineTo(10, 10); ctx.stroke();
+
+        ctx.font = '10px monospace'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(`${((c.current || 0) * 1000).toFixed(1)}mA`, 0, 14);
+    }
     else if (c.type === 'voltmeter') {
         ctx.fillStyle = '#BBDEFB'; ctx.beginPath(); ctx.arc(0, 0, 18, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
         ctx.fillStyle = '#0D47A1'; ctx.font = 'bold 20px serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; ctx.fillText('V', 0, 0);
@@ -1111,12 +3054,22 @@ function drawComponentBody(c) {
         ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-20, 0); ctx.stroke();
         ctx.beginPath(); ctx.moveTo(20, 0); ctx.lineTo(40, 0); ctx.stroke();
 
-        // Wiper symbol
+        // Wiper: from its terminal (0, 30) to the track position (A = -20, B = 20)
+        const wx = -20 + 40 * c.wiperPos;
+        ctx.beginPath(); ctx.moveTo(0, 30); ctx.lineTo(0, 24); ctx.lineTo(wx, 24); ctx.lineTo(wx, 16); ctx.stroke();
+        ctx.fillStyle = '#000';
+        ctx.beginPath(); ctx.moveTo(wx, 10); ctx.lineTo(wx - 5, 18); ctx.lineTo(wx + 5, 18); ctx.fill();
+
+        // Wiper terminal
+        ctx.fillStyle = isSel ? '#2196F3' : '#333';
+        ctx.beginPath(); ctx.arc(0, 30, 5, 0, Math.PI * 2); ctx.fill();
+
+        // Track resistance on each side of the wiper
+        const [rAW, rWB] = getPotResistances(c);
         ctx.fillStyle = '#000';
-        ctx.beginPath(); ctx.moveTo(0, 15); ctx.lineTo(-5, 25); ctx.lineTo(5, 25); ctx.fill();
-        ctx.font = '10px monospace';
+        ctx.font = '9px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText(`${Math.round(c.resistance)}Ω`, 0, 5);
+        ctx.fillText(`${Math.round(rAW)}|${Math.round(rWB)}Ω`, 0, 3);
     }
     else if (c.type === 'motor') {
         // Motor body
@@ -1124,7 +3077,7 @@ function drawComponentBody(c) {
         ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-25, 0); ctx.stroke();
         ctx.beginPath(); ctx.moveTo(25, 0); ctx.lineTo(40, 0); ctx.stroke();
 
-        // Animation
+        // Animation (a burnt motor does not turn: its current is ~0)
         const I = c.current || 0;
         const speed = I * 0.02; // Adjusted speed (faster than 0.005, slower than 0.5)
         if (!c.angle) c.angle = 0;
@@ -1139,6 +3092,10 @@ function drawComponentBody(c) {
         ctx.restore();
 
         ctx.fillStyle = '#000'; ctx.beginPath(); ctx.arc(0, 0, 4, 0, Math.PI * 2); ctx.fill();
+
+        if (c.broken) {
+            ctx.font = '20px Arial'; ctx.fillStyle = 'red'; ctx.fillText('💥', 10, -15);
+        }
     }
     else if (c.type === 'spdt') {
         // 3 Terminals: T0 (Left Common), T1 (Right Top), T2 (Right Bottom)
@@ -1166,15 +3123,974 @@ function drawComponentBody(c) {
         ctx.beginPath(); ctx.arc(40, -20, 3, 0, Math.PI * 2); ctx.fill();
         ctx.beginPath(); ctx.arc(40, 20, 3, 0, Math.PI * 2); ctx.fill();
     }
+    else if (c.type === 'capacitor') {
+        const v = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+
+        // Leads
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-6, 0); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(6, 0); ctx.lineTo(40, 0); ctx.stroke();
+
+        // Charge glow between the plates (0 -> 9V)
+        let charge = Math.abs(v) / 9.0;
+        if (charge > 1) charge = 1;
+        if (charge > 0.02) {
+            ctx.fillStyle = `rgba(33, 150, 243, ${charge * 0.6})`;
+            ctx.fillRect(-6, -18, 12, 36);
+        }
+
+        // Plates: the positive one is drawn red
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = (v > 0.01) ? '#f44336' : '#333';
+        ctx.beginPath(); ctx.moveTo(-6, -18); ctx.lineTo(-6, 18); ctx.stroke();
+        ctx.strokeStyle = (v < -0.01) ? '#f44336' : '#333';
+        ctx.beginPath(); ctx.moveTo(6, -18); ctx.lineTo(6, 18); ctx.stroke();
+        ctx.lineWidth = 2; ctx.strokeStyle = '#333';
+
+        ctx.font = '10px monospace'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(`${v.toFixed(2)}V`, 0, 22);
+    }
+    else if (c.type === 'inductor') {
+        const I = c.current || 0;
+
+        // Leads
+        ctx.beginPath(); ctx.moveTo(-40, 0); ctx.lineTo(-20, 0); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(20, 0); ctx.lineTo(40, 0); ctx.stroke();
+
+        // Magnetic field glow grows with the stored current
+        let field = Math.abs(I) / 0.1; // 100mA = full
+        if (field > 1) field = 1;
+        if (field > 0.02) { ctx.shadowColor = '#9C27B0'; ctx.shadowBlur = field * 20; }
+
+        // Coil: 4 loops
+        ctx.strokeStyle = field > 0.02 ? '#7B1FA2' : '#333';
+        ctx.beginPath();
+        for (let i = 0; i < 4; i++) {
+            ctx.arc(-15 + i * 10, 0, 5, Math.PI, 0);
+        }
+        ctx.stroke();
+        ctx.shadowBlur = 0; ctx.strokeStyle = '#333';
+
+        ctx.font = '10px monospace'; ctx.fillStyle = '#000'; ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+        ctx.fillText(`${(I * 1000).toFixed(1)}mA`, 0, 12);
+    }
+}
+
+// --- Schematic Symbols (IEC / ANSI) ---
+// Textbook symbols for the exam-style views. They are drawn over the same local terminal
+// positions as the pictorial parts (see getTransformedTerminals), so switching views never
+// changes the circuit. Transistors and relays keep their drawing, which is already a symbol;
+// logic gates switch to the IEC rectangular shapes in drawLogicPart.
+const SYMBOL_STYLES = { pictorial: 'Vista realista', iec: 'Símbolos IEC', ansi: 'Símbolos ANSI' };
+const SCHEMATIC_INK = '#222';
+let symbolStyle = 'pictorial';
+
+// Local terminal positions of the parts drawn here
+function getSymbolTerminals(c) {
+    if (c.type === 'potentiometer') return [[-40, 0], [40, 0], [0, 30]];
+    if (c.type === 'spdt') return [[-40, 0], [40, -20], [40, 20]];
+    return [[-40, 0], [40, 0]];
+}
+
+// Each segment is [x1, y1, x2, y2]
+function strokeLines(...segments) {
+    ctx.beginPath();
+    segments.forEach(([x1, y1, x2, y2]) => { ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); });
+    ctx.stroke();
+}
+
+// Straight leads from both terminals to a body reaching x = -a ... a
+function drawSymbolLeads(a) {
+    strokeLines([-40, 0, -a, 0], [a, 0, 40, 0]);
+}
+
+function drawSymbolText(text, x, y, font = '10px monospace', baseline = 'top') {
+    ctx.font = font; ctx.fillStyle = SCHEMATIC_INK; ctx.textAlign = 'center'; ctx.textBaseline = baseline;
+    ctx.fillText(text, x, y);
+}
+
+// 4700 -> "4.7k", 1e-5 -> "10µ" (sep goes between the number and the unit)
+function formatSymbolValue(value, unit, sep = '') {
+    const abs = Math.abs(value);
+    const [scale, prefix] = abs >= 1e6 ? [1e6, 'M'] : abs >= 1e3 ? [1e3, 'k'] : abs >= 1 || abs === 0 ? [1, ''] :
+        abs >= 1e-3 ? [1e-3, 'm'] : abs >= 1e-6 ? [1e-6, 'µ'] : [1e-9, 'n'];
+    return `${parseFloat((value / scale).toPrecision(3))}${sep}${prefix}${unit}`;
+}
+
+function drawArrowHead(x1, y1, x2, y2) {
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    const ux = (x2 - x1) / len;
+    const uy = (y2 - y1) / len;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - 5 * ux - 3 * uy, y2 - 5 * uy + 3 * ux);
+    ctx.lineTo(x2 - 5 * ux + 3 * uy, y2 - 5 * uy - 3 * ux);
+    ctx.fill();
+}
+
+// Two parallel diagonal arrows at (x, y): towards the part (light in) or away from it (light out)
+function drawLightArrows(x, y, inward) {
+    [0, 8].forEach(dx => {
+        const [x1, y1, x2, y2] = inward ? [x + dx - 8, y - 10, x + dx, y] : [x + dx, y, x + dx + 8, y - 10];
+        strokeLines([x1, y1, x2, y2]);
+        drawArrowHead(x1, y1, x2, y2);
+    });
+}
+
+// Resistor body from x = -20 to 20: IEC rectangle or ANSI zigzag
+function drawResistorBody(ansi) {
+    if (ansi) {
+        ctx.beginPath(); ctx.moveTo(-20, 0);
+        for (let i = 0; i < 6; i++) ctx.lineTo(-20 + (i + 0.5) * 40 / 6, i % 2 === 0 ? -7 : 7);
+        ctx.lineTo(20, 0); ctx.stroke();
+    } else {
+        ctx.fillStyle = '#fff'; ctx.fillRect(-20, -7, 40, 14); ctx.strokeRect(-20, -7, 40, 14);
+    }
+}
+
+// Diode from x = -10 (anode) to 10 (cathode bar). IEC: hollow triangle crossed by the conductor; ANSI: filled.
+function drawDiodeBody(ansi, fill) {
+    ctx.fillStyle = fill || (ansi ? SCHEMATIC_INK : '#fff');
+    ctx.beginPath(); ctx.moveTo(-10, -10); ctx.lineTo(-10, 10); ctx.lineTo(10, 0); ctx.closePath();
+    ctx.fill(); ctx.stroke();
+    if (!ansi) strokeLines([-10, 0, 10, 0]);
+    strokeLines([10, -10, 10, 10]);
+}
+
+// Small open circles marking switch contacts (ANSI style)
+function drawContacts(points) {
+    ctx.fillStyle = '#fff';
+    points.forEach(([x, y]) => { ctx.beginPath(); ctx.arc(x, y, 3, 0, Math.PI * 2); ctx.fill(); ctx.stroke(); });
+}
+
+// Round instrument symbol with its letter and reading
+function drawMeterSymbol(letter, reading) {
+    drawSymbolLeads(16);
+    ctx.fillStyle = '#fff';
+    ctx.beginPath(); ctx.arc(0, 0, 16, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+    drawSymbolText(letter, 0, 1, 'bold 15px serif', 'middle');
+    drawSymbolText('+', -24, -4, 'bold 10px sans-serif', 'bottom');
+    drawSymbolText(reading, 0, 20);
+}
+
+// Returns false for the types it does not cover, which keep their usual drawing
+function drawSchematicSymbol(c, isSel) {
+    const ansi = symbolStyle === 'ansi';
+    ctx.strokeStyle = SCHEMATIC_INK; ctx.lineWidth = 2;
+
+    switch (c.type) {
+        case 'battery': {
+            // Long plate = +, short thick plate = -. ANSI draws a two-cell battery.
+            const cells = ansi ? [-8, 8] : [0];
+            strokeLines([-40, 0, cells[0] - 3, 0], [cells[cells.length - 1] + 3, 0, 40, 0]);
+            cells.forEach((cx, i) => {
+                strokeLines([cx - 3, -14, cx - 3, 14]);
+                ctx.lineWidth = 4; strokeLines([cx + 3, -7, cx + 3, 7]); ctx.lineWidth = 2;
+                if (i < cells.length - 1) strokeLines([cx + 3, 0, cells[i + 1] - 3, 0]);
+            });
+            drawSymbolText('+', cells[0] - 12, -6, 'bold 12px sans-serif', 'bottom');
+            drawSymbolText(`${c.voltage}V`, 0, 18);
+            break;
+        }
+        case 'resistor':
+            drawSymbolLeads(20);
+            drawResistorBody(ansi);
+            drawSymbolText(formatSymbolValue(c.resistance, 'Ω'), 0, 12);
+            break;
+        case 'ldr':
+            drawSymbolLeads(20);
+            drawResistorBody(ansi);
+            drawLightArrows(-4, -10, true);
+            drawSymbolText(formatSymbolValue(c.resistance, 'Ω'), 0, 12);
+            break;
+        case 'potentiometer': {
+            drawSymbolLeads(20);
+            drawResistorBody(ansi);
+            // Wiper arrow from its terminal (0, 30) onto the track (A = -20, B = 20)
+            const wx = -20 + 40 * c.wiperPos;
+            ctx.beginPath(); ctx.moveTo(0, 30); ctx.lineTo(0, 22); ctx.lineTo(wx, 22); ctx.lineTo(wx, 12); ctx.stroke();
+            drawArrowHead(wx, 22, wx, 8);
+            const [rAW, rWB] = getPotResistances(c);
+            drawSymbolText(`${formatSymbolValue(rAW, '')}|${formatSymbolValue(rWB, 'Ω')}`, 0, -10, '9px monospace', 'bottom');
+            break;
+        }
+        case 'fuse':
+            drawSymbolLeads(20);
+            if (ansi) {
+                // S-shaped link, split in the middle once blown
+                ctx.beginPath(); ctx.arc(-10, 0, 10, Math.PI, c.broken ? 1.75 * Math.PI : 2 * Math.PI); ctx.stroke();
+                ctx.beginPath(); ctx.arc(10, 0, 10, c.broken ? 0.75 * Math.PI : Math.PI, 0, true); ctx.stroke();
+            } else {
+                ctx.fillStyle = '#fff'; ctx.fillRect(-20, -6, 40, 12); ctx.strokeRect(-20, -6, 40, 12);
+                if (c.broken) strokeLines([-20, 0, -5, 0], [5, 0, 20, 0]);
+                else strokeLines([-20, 0, 20, 0]);
+            }
+            drawSymbolText(`${c.maxCurrent}A`, 0, 12);
+            break;
+        case 'bulb': {
+            const bright = c.broken ? 0 : Math.min(Math.max((c.power || 0) / BULB_FULL_POWER, 0), 1);
+            drawSymbolLeads(15);
+            ctx.fillStyle = bright > 0.05 ? `rgba(255, 235, 59, ${bright})` : '#fff';
+            ctx.beginPath(); ctx.arc(0, 0, 15, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+            if (ansi) {
+                // Filament loop between the leads
+                ctx.beginPath(); ctx.moveTo(-15, 0); ctx.lineTo(-6, 0); ctx.arc(0, 0, 6, Math.PI, 0); ctx.lineTo(15, 0); ctx.stroke();
+            } else {
+                strokeLines([-10.6, -10.6, 10.6, 10.6], [10.6, -10.6, -10.6, 10.6]);
+            }
+            break;
+        }
+        case 'led':
+        case 'diode': {
+            drawSymbolLeads(10);
+            let fill = null;
+            if (c.type === 'led' && !c.broken) {
+                const vDrop = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+                const bright = Math.min(Math.abs(c.current || 0) / 0.02, 1);
+                if (vDrop > 0 && bright > 0.05) fill = `rgb(${LED_GLOW_COLORS[c.color] || LED_GLOW_COLORS.red})`;
+            }
+            drawDiodeBody(ansi, fill);
+            ctx.strokeStyle = SCHEMATIC_INK;
+            if (c.type === 'led') drawLightArrows(2, -12, false);
+            else drawSymbolText(`${((c.current || 0) * 1000).toFixed(1)}mA`, 0, 14);
+            break;
+        }
+        case 'switch':
+            drawSymbolLeads(15);
+            strokeLines([-15, 0, c.isOpen ? 12 : 15, c.isOpen ? -14 : 0]);
+            if (ansi) drawContacts([[-15, 0], [15, 0]]);
+            else strokeLines([15, 0, 15, -6]);
+            break;
+        case 'pushbutton': {
+            drawSymbolLeads(15);
+            if (ansi) {
+                // Bridging bar above two contacts, pushed down onto them while pressed
+                const bar = c.isOpen ? -8 : -3;
+                strokeLines([-15, bar, 15, bar], [0, bar, 0, -20], [-6, -20, 6, -20]);
+                drawContacts([[-15, 0], [15, 0]]);
+            } else {
+                // Make contact with a push actuator joined by a dashed link
+                strokeLines([-15, 0, c.isOpen ? 12 : 15, c.isOpen ? -14 : 0], [15, 0, 15, -6]);
+                ctx.setLineDash([3, 3]); strokeLines([0, c.isOpen ? -7 : 0, 0, -20]); ctx.setLineDash([]);
+                strokeLines([-6, -24, -6, -20], [-6, -20, 6, -20], [6, -20, 6, -24]);
+            }
+            break;
+        }
+        case 'spdt':
+            strokeLines([-40, 0, -10, 0], [15, -20, 40, -20], [15, 20, 40, 20]);
+            strokeLines([-10, 0, 13, c.spdtState === 0 ? -17 : 17]);
+            if (ansi) drawContacts([[-10, 0], [15, -20], [15, 20]]);
+            break;
+        case 'capacitor': {
+            const v = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+            drawSymbolLeads(5);
+            ctx.lineWidth = 3;
+            strokeLines([-5, -14, -5, 14]);
+            if (ansi) {
+                ctx.beginPath(); ctx.arc(23, 0, 18, Math.PI - 0.9, Math.PI + 0.9); ctx.stroke();
+            } else {
+                strokeLines([5, -14, 5, 14]);
+            }
+            ctx.lineWidth = 2;
+            drawSymbolText(`${formatSymbolValue(c.capacitance, 'F')} ${v.toFixed(2)}V`, 0, 18);
+            break;
+        }
+        case 'inductor':
+            drawSymbolLeads(20);
+            ctx.beginPath();
+            for (let i = 0; i < 4; i++) ctx.arc(-15 + i * 10, 0, 5, Math.PI, 0);
+            ctx.stroke();
+            drawSymbolText(`${((c.current || 0) * 1000).toFixed(1)}mA`, 0, 10);
+            break;
+        case 'voltmeter': {
+            const val = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+            drawMeterSymbol('V', `${val.toFixed(2)}V`);
+            break;
+        }
+        case 'ammeter':
+            drawMeterSymbol('A', `${(c.current || 0).toFixed(3)}A`);
+            break;
+        case 'multimeter': {
+            const mode = METER_MODES.find(m => m.mode === c.mode) || METER_MODES[0];
+            drawMeterSymbol(mode.mode === 'continuity' ? 'Ω' : mode.label, formatMeterReading(c));
+            break;
+        }
+        case 'motor':
+            drawSymbolLeads(18);
+            ctx.fillStyle = '#fff';
+            ctx.beginPath(); ctx.arc(0, 0, 18, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+            drawSymbolText('M', 0, 1, 'bold 16px serif', 'middle');
+            break;
+        case 'buzzer':
+            drawSymbolLeads(14);
+            ctx.fillStyle = '#fff';
+            if (ansi) {
+                ctx.fillRect(-14, -12, 28, 24); ctx.strokeRect(-14, -12, 28, 24);
+                drawSymbolText('BZ', 0, 1, 'bold 10px sans-serif', 'middle');
+            } else {
+                // Bell: dome on a flat base
+                ctx.beginPath(); ctx.arc(0, 0, 14, Math.PI, 0); ctx.closePath(); ctx.fill(); ctx.stroke();
+            }
+            if (Math.abs(c.current || 0) > 0.01) {
+                const t = Date.now() / 100 % 3;
+                ctx.beginPath(); ctx.arc(14, -8, 8 + t * 3, -0.8, 0.2); ctx.stroke();
+            }
+            break;
+        default:
+            return false;
+    }
+
+    ctx.fillStyle = isSel ? '#2196F3' : SCHEMATIC_INK;
+    getSymbolTerminals(c).forEach(([x, y]) => { ctx.beginPath(); ctx.arc(x, y, 3, 0, Math.PI * 2); ctx.fill(); });
+    // Burnt parts: the symbol stays, with the same mark as the realistic view
+    if (c.broken && c.type !== 'fuse' && c.type !== 'multimeter') {
+        ctx.font = '16px Arial'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText('💥', 18, -18);
+    }
+    return true;
+}
+
+const symbolStyleSelect = document.getElementById('symbol-style');
+if (symbolStyleSelect) {
+    symbolStyleSelect.innerHTML = Object.keys(SYMBOL_STYLES)
+        .map(k => `<option value="${k}">${SYMBOL_STYLES[k]}</option>`).join('');
+    symbolStyleSelect.addEventListener('change', () => {
+        symbolStyle = symbolStyleSelect.value;
+        draw();
+    });
 }
 
 // ... Properties Panel same as before
 // Duplicate function deleted
 
+// --- Truth Table ---
+const TRUTH_TABLE_MAX_INPUTS = 6;
+
+// Logic inputs are named A, B, C... and probes S1, S2... in reading order (top to bottom, left to right)
+function getLogicNames() {
+    const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x);
+    const names = new Map();
+    engine.components.filter(c => c.type === 'logicinput').sort(byPosition)
+        .forEach((c, i) => names.set(c, String.fromCharCode(65 + i)));
+    engine.components.filter(c => c.type === 'logicprobe').sort(byPosition)
+        .forEach((c, i) => names.set(c, `S${i + 1}`));
+    return names;
+}
+
+// Sets the inputs to every combination in binary order, records the probes, then restores the inputs
+// and whatever the sweep changed on the way (broken parts, relay contacts, latched gates)
+function buildTruthTable() {
+    const names = getLogicNames();
+    const inputs = [...names.keys()].filter(c => c.type === 'logicinput');
+    const probes = [...names.keys()].filter(c => c.type === 'logicprobe');
+    const saved = engine.captureState();
+
+    const rows = [];
+    for (let row = 0; row < (1 << inputs.length); row++) {
+        inputs.forEach((c, i) => {
+            c.high = ((row >> (inputs.length - 1 - i)) & 1) === 1;
+        });
+        engine.solve();
+        rows.push({ inputs: inputs.map(c => c.high), outputs: probes.map(c => c.high) });
+    }
+
+    engine.restoreState(saved);
+    engine.solve();
+    return { inputs: inputs.map(c => names.get(c)), outputs: probes.map(c => names.get(c)), rows };
+}
+
+function showTruthTable() {
+    const area = document.getElementById('truth-table');
+    if (!area) return;
+
+    const inputCount = engine.components.filter(c => c.type === 'logicinput').length;
+    const probeCount = engine.components.filter(c => c.type === 'logicprobe').length;
+    if (inputCount === 0 || probeCount === 0) {
+        area.innerHTML = '<p class="placeholder-text">Añade al menos una entrada y una sonda lógica.</p>';
+        return;
+    }
+    if (inputCount > TRUTH_TABLE_MAX_INPUTS) {
+        area.innerHTML = `<p class="placeholder-text">Demasiadas entradas (máximo ${TRUTH_TABLE_MAX_INPUTS}).</p>`;
+        return;
+    }
+
+    const table = buildTruthTable();
+    const bit = (v) => `<td class="${v ? 'bit-high' : 'bit-low'}">${v ? 1 : 0}</td>`;
+    let html = '<table><tr>';
+    html += table.inputs.map(n => `<th>${n}</th>`).join('');
+    html += table.outputs.map(n => `<th class="truth-output">${n}</th>`).join('');
+    html += '</tr>';
+    table.rows.forEach(row => {
+        html += `<tr>${row.inputs.map(bit).join('')}${row.outputs.map(bit).join('')}</tr>`;
+    });
+    area.innerHTML = html + '</table>';
+    draw();
+}
+
+// The panel only shows up once the circuit has logic inputs or probes
+function updateTruthPanel() {
+    const panel = document.getElementById('truth-panel');
+    if (!panel) return;
+    const hasLogic = engine.components.some(c => c.type === 'logicinput' || c.type === 'logicprobe');
+    panel.style.display = hasLogic ? 'block' : 'none';
+}
+
+const truthTableBtn = document.getElementById('btn-truth-table');
+if (truthTableBtn) truthTableBtn.addEventListener('click', showTruthTable);
+
+// --- Kirchhoff Analysis ---
+const ANALYSIS_REFRESH_MS = 250;
+const KCL_TOLERANCE = 1e-6; // A
+const KVL_TOLERANCE = 1e-6; // V
+let analysisOpen = false;
+let analysisNode = null; // Node picked from the panel's node table
+let lastAnalysisUpdate = 0;
+
+// 0.0123 -> "12.30 mA"
+function formatQuantity(value, unit) {
+    const abs = Math.abs(value);
+    if (abs < 1e-9) return `0.00 ${unit}`;
+    const [scale, prefix] = abs >= 1e3 ? [1e3, 'k'] : abs >= 1 ? [1, ''] : abs >= 1e-3 ? [1e-3, 'm'] : [1e-6, 'µ'];
+    return `${(value / scale).toFixed(2)} ${prefix}${unit}`;
+}
+
+function getNodeLabel(n) {
+    const i = engine.nodes.indexOf(n);
+    return n.isGND ? `N${i} (0V)` : `N${i}`;
+}
+
+// A selected wire or joint checks KCL at its node; any other selected part checks KVL around a loop through it
+function getAnalysisFocus() {
+    if (selectedWire) return { node: selectedWire.wire.startComp.nodes[selectedWire.wire.startTerm] };
+    if (selectedComponent) {
+        if (selectedComponent.type === 'joint' || selectedComponent.type === 'ground') return { node: selectedComponent.nodes[0] };
+        return { comp: selectedComponent };
+    }
+    if (analysisNode && engine.nodes.includes(analysisNode)) return { node: analysisNode };
+    return {};
+}
+
+function kirchhoffVerdict(label, sum, unit, ok) {
+    return `<p class="${ok ? 'kirchhoff-ok' : 'kirchhoff-fail'}">${label} = ${formatQuantity(sum, unit)} ${ok ? '✔' : '✘'}</p>`;
+}
+
+function renderAnalysis() {
+    const area = document.getElementById('analysis-area');
+    if (!area) return;
+
+    const focus = getAnalysisFocus();
+    let html = '';
+    if (focus.node) {
+        const kcl = engine.getNodeCurrents(focus.node);
+        const largest = Math.max(0, ...kcl.terms.map(t => Math.abs(t.current)));
+        html += `<h4>1ª ley (LCK) en ${getNodeLabel(focus.node)}: ${formatQuantity(focus.node.voltage, 'V')}</h4><table>`;
+        kcl.terms.forEach(t => {
+            const name = t.comp ? getComponentLabel(t.comp) + (t.comp.nodes.length > 2 ? ` T${t.terminal}` : '') : 'Alimentación lógica';
+            html += `<tr><td>${escapeHtml(name)}</td><td>${formatQuantity(t.current, 'A')}</td></tr>`;
+        });
+        html += '</table>';
+        html += kirchhoffVerdict('Σ I entrantes', kcl.sum, 'A', Math.abs(kcl.sum) <= KCL_TOLERANCE + 1e-4 * largest);
+    } else if (focus.comp) {
+        const kvl = engine.getLoopVoltages(focus.comp);
+        if (!kvl) {
+            html += `<p class="placeholder-text">${escapeHtml(getComponentLabel(focus.comp))} no forma parte de ninguna malla cerrada.</p>`;
+        } else {
+            html += `<h4>2ª ley (LTK) en la malla de ${escapeHtml(getComponentLabel(focus.comp))}</h4><table>`;
+            kvl.steps.forEach(s => {
+                const route = `${getNodeLabel(s.comp.nodes[s.from])} → ${getNodeLabel(s.comp.nodes[s.to])}`;
+                html += `<tr><td>${escapeHtml(getComponentLabel(s.comp))}</td><td>${route}</td><td>${formatQuantity(s.drop, 'V')}</td></tr>`;
+            });
+            html += '</table>';
+            html += kirchhoffVerdict('Σ caídas de tensión', kvl.sum, 'V', Math.abs(kvl.sum) <= KVL_TOLERANCE);
+        }
+    } else {
+        html += '<p class="placeholder-text">Pulsa un cable o un nudo de la tabla para comprobar la LCK, o un componente para la LTK (en la malla más corta que lo contiene).</p>';
+    }
+
+    html += '<h4>Nudos</h4><table><tr><th>Nudo</th><th>V</th></tr>';
+    engine.nodes.forEach((n, i) => {
+        const cls = n === focus.node ? ' class="analysis-focus"' : '';
+        html += `<tr data-node="${i}"${cls}><td>${getNodeLabel(n)}</td><td>${formatQuantity(n.voltage, 'V')}</td></tr>`;
+    });
+    html += '</table>';
+
+    html += '<h4>Componentes</h4><table><tr><th></th><th>V</th><th>I</th><th>P</th></tr>';
+    engine.components.forEach(c => {
+        if (c.type === 'joint' || c.type === 'ground' || c.nodes.length < 2) return;
+        const v = (c.nodes[0] ? c.nodes[0].voltage : 0) - (c.nodes[1] ? c.nodes[1].voltage : 0);
+        html += `<tr><td>${escapeHtml(getComponentLabel(c))}</td><td>${formatQuantity(v, 'V')}</td>` +
+            `<td>${formatQuantity(c.current || 0, 'A')}</td><td>${formatQuantity(c.power, 'W')}</td></tr>`;
+    });
+    area.innerHTML = html + '</table>';
+}
+
+// Refreshed a few times a second while open, so transients stay readable
+function updateAnalysisPanel(now) {
+    if (!analysisOpen || now - lastAnalysisUpdate < ANALYSIS_REFRESH_MS) return;
+    lastAnalysisUpdate = now;
+    renderAnalysis();
+}
+
+// Node names on the canvas, next to the first terminal of each node
+function drawNodeLabels() {
+    const marked = new Set();
+    ctx.font = 'bold 10px sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+    engine.components.forEach(c => {
+        c.nodes.forEach((n, i) => {
+            if (!n || marked.has(n)) return;
+            marked.add(n);
+            const p = getTerminalPos(c, i);
+            const label = `N${engine.nodes.indexOf(n)}`;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(p.x + 4, p.y - 18, ctx.measureText(label).width + 4, 12);
+            ctx.fillStyle = '#8E24AA';
+            ctx.fillText(label, p.x + 6, p.y - 6);
+        });
+    });
+}
+
+// Dotted purple outline around the parts of the loop under KVL analysis
+function drawAnalysisHalo(c) {
+    const small = (c.type === 'joint');
+    const w = small ? 44 : 104;
+    const h = small ? 44 : 68;
+    ctx.strokeStyle = '#8E24AA'; ctx.lineWidth = 2; ctx.setLineDash([2, 3]);
+    ctx.strokeRect(-w / 2, -h / 2, w, h);
+    ctx.setLineDash([]);
+}
+
+const analysisBtn = document.getElementById('btn-analysis');
+if (analysisBtn) {
+    analysisBtn.addEventListener('click', () => {
+        analysisOpen = !analysisOpen;
+        analysisBtn.textContent = analysisOpen ? 'Ocultar' : 'Mostrar';
+        const area = document.getElementById('analysis-area');
+        area.style.display = analysisOpen ? 'block' : 'none';
+        if (analysisOpen) renderAnalysis();
+        draw();
+    });
+}
+const analysisArea = document.getElementById('analysis-area');
+if (analysisArea) {
+    // Rows are rebuilt while the panel refreshes, so listen on the container
+    analysisArea.addEventListener('mousedown', (e) => {
+        const row = e.target.closest('tr[data-node]');
+        if (!row) return;
+        analysisNode = engine.nodes[parseInt(row.dataset.node, 10)];
+        selectedComponent = null;
+        selectedWire = null;
+        updatePropertiesPanel(null);
+        renderAnalysis();
+        draw();
+    });
+}
+
+// --- Energy ---
+const BULB_FULL_POWER = 1.6; // W: full brightness at 9V across the 50Ω filament
+
+// "12.30 J (3.42 mWh)"
+function formatEnergy(joules) {
+    return `${formatQuantity(joules, 'J')} (${formatQuantity(joules / 3600, 'Wh')})`;
+}
+
+// Live readouts: the selected part's power and energy, or the whole circuit's balance when nothing is selected
+function updateEnergyReadout() {
+    const readout = document.getElementById('prop-energy');
+    if (readout && selectedComponent) {
+        const { power, energy } = selectedComponent;
+        readout.innerHTML = `Potencia ${power < 0 ? 'entregada' : 'consumida'}: ${formatQuantity(Math.abs(power), 'W')}<br>` +
+            `Energía ${energy < 0 ? 'entregada' : 'consumida'}: ${formatEnergy(Math.abs(energy))}`;
+    }
+
+    const balanceArea = document.getElementById('energy-balance');
+    if (balanceArea) {
+        const b = engine.getEnergyBalance();
+        balanceArea.innerHTML = `<strong>Balance de energía</strong> (${engine.time.toFixed(1)} s)<br>` +
+            `Fuentes: ${formatQuantity(b.sourcePower, 'W')} · ${formatEnergy(b.sourceEnergy)}<br>` +
+            `Resto del circuito: ${formatQuantity(b.loadPower, 'W')} · ${formatEnergy(b.loadEnergy)}`;
+    }
+}
+
+// --- Challenge Mode ---
+// Lessons and goal checks live in challenges.js; this drives the panel and the palette
+const CHALLENGE_CHECK_MS = 200;
+let challenge = null; // { lesson, index, done }
+let lastChallengeSolve = -1;
+let lastChallengeCheck = 0;
+let lastChallengeKey = null;
+
+function showChallengePicker() {
+    const picker = document.getElementById('challenge-picker');
+    let html = '<h3>🎯 Retos</h3>';
+    LESSONS.forEach((lesson, i) => {
+        html += `<button class="btn btn-secondary" data-lesson="${i}">${escapeHtml(lesson.title)} (${lesson.exercises.length})</button>`;
+    });
+    html += '<button id="btn-challenge-file" class="btn btn-secondary">Abrir lección (.json)</button>';
+    picker.innerHTML = html;
+    picker.style.display = 'block';
+    document.getElementById('challenge-active').style.display = 'none';
+    document.getElementById('challenge-panel').style.display = 'block';
+
+    picker.querySelectorAll('[data-lesson]').forEach(btn => {
+        btn.onclick = () => startLesson(LESSONS[parseInt(btn.dataset.lesson, 10)]);
+    });
+    document.getElementById('btn-challenge-file').onclick = () => document.getElementById('file-challenge').click();
+}
+
+function startLesson(lesson) {
+    challenge = { lesson, index: 0, done: false };
+    startExercise();
+}
+
+// Loads the exercise's locked starting circuit (or an empty board) and narrows the palette
+function startExercise() {
+    const exercise = challenge.lesson.exercises[challenge.index];
+    const start = exercise.circuit || { components: [], wires: [] };
+    loadCircuit({
+        format: CIRCUIT_FORMAT,
+        version: start.version || CIRCUIT_VERSION,
+        components: start.components,
+        wires: start.wires || []
+    }, true);
+    engine.components.forEach(c => { c.locked = true; });
+    setPaletteFilter(exercise.palette);
+
+    challenge.done = false;
+    lastChallengeSolve = -1;
+    lastChallengeKey = null;
+    document.getElementById('challenge-picker').style.display = 'none';
+    document.getElementById('challenge-active').style.display = 'block';
+    document.getElementById('challenge-progress').textContent =
+        `${challenge.lesson.title} · Ejercicio ${challenge.index + 1} de ${challenge.lesson.exercises.length}`;
+    document.getElementById('challenge-title').textContent = exercise.title;
+    document.getElementById('challenge-instructions').textContent = exercise.instructions || '';
+}
+
+function exitChallenge() {
+    challenge = null;
+    setPaletteFilter(null);
+    engine.components.forEach(c => { delete c.locked; });
+    document.getElementById('challenge-panel').style.display = 'none';
+    updatePropertiesPanel(selectedComponent);
+    draw();
+}
+
+// Hides the palette items an exercise does not allow (null shows them all)
+function setPaletteFilter(types) {
+    document.querySelectorAll('.component-palette .draggable-item').forEach(item => {
+        item.style.display = (!types || types.includes(item.dataset.type)) ? '' : 'none';
+    });
+}
+
+// Re-checks the goals whenever the engine has a new solution, at most a few times a second
+function updateChallenge(now) {
+    if (!challenge || engine.solveCount === lastChallengeSolve || now - lastChallengeCheck < CHALLENGE_CHECK_MS) return;
+    lastChallengeCheck = now;
+
+    const exercise = challenge.lesson.exercises[challenge.index];
+    const { results, done } = evaluateExercise(engine, exercise);
+    lastChallengeSolve = engine.solveCount; // Truth checks solve too
+    challenge.done = challenge.done || done;
+
+    const key = results.join(',') + challenge.done;
+    if (key === lastChallengeKey) return;
+    lastChallengeKey = key;
+
+    const list = document.getElementById('challenge-goals');
+    list.innerHTML = exercise.goals.map((goal, i) =>
+        `<li class="${results[i] ? 'goal-done' : ''}">${results[i] ? '✔' : '○'} ${escapeHtml(goal.text)}</li>`).join('');
+    const isLast = challenge.index === challenge.lesson.exercises.length - 1;
+    if (challenge.done) {
+        list.insertAdjacentHTML('beforeend',
+            `<li class="challenge-solved">${isLast ? '🏆 ¡Lección completada!' : '🎉 ¡Conseguido!'}</li>`);
+    }
+    const nextBtn = document.getElementById('btn-challenge-next');
+    nextBtn.disabled = !challenge.done || isLast;
+}
+
+const challengesBtn = document.getElementById('btn-challenges');
+if (challengesBtn) {
+    challengesBtn.addEventListener('click', () => {
+        const panel = document.getElementById('challenge-panel');
+        if (challenge) panel.style.display = 'block';
+        else if (panel.style.display === 'none') showChallengePicker();
+        else panel.style.display = 'none';
+    });
+    document.getElementById('btn-challenge-restart').addEventListener('click', () => {
+        if (challenge) startExercise();
+    });
+    document.getElementById('btn-challenge-next').addEventListener('click', () => {
+        if (!challenge || !challenge.done || challenge.index >= challenge.lesson.exercises.length - 1) return;
+        challenge.index++;
+        startExercise();
+    });
+    document.getElementById('btn-challenge-exit').addEventListener('click', exitChallenge);
+}
+
+function openLessonFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            startLesson(validateLesson(JSON.parse(reader.result)));
+        } catch (err) {
+            alert(`No se pudo abrir la lección: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+const challengeInput = document.getElementById('file-challenge');
+if (challengeInput) {
+    challengeInput.addEventListener('change', () => {
+        if (challengeInput.files.length > 0) openLessonFile(challengeInput.files[0]);
+        challengeInput.value = ''; // Allow re-opening the same file
+    });
+}
+
+// --- Troubleshooting (Hidden Faults) ---
+// The teacher marks faults (engine.js: getFaultTypes); students measure and accuse a part.
+const FAULT_NAMES = {
+    open: 'Circuito abierto',
+    short: 'Cortocircuito interno',
+    drift: 'Valor desviado (×10)',
+    dead: 'Pila agotada',
+    reversed: 'Polaridad invertida'
+};
+const MEASURING_TYPES = ['voltmeter', 'ammeter', 'multimeter'];
+let teacherMode = false;
+let teacherKey = ''; // Passphrase the teacher set when handing the circuit over ('' = only a confirmation)
+let accusing = false;
+let measurementKeys = new Set(); // Every meter placement seen so far
+let accusations = 0;
+let foundFaults = new Set();
+let faultMessage = '';
+let lastFaultPanelKey = null;
+
+function resetTroubleshooting() {
+    accusing = false;
+    measurementKeys = new Set();
+    accusations = 0;
+    foundFaults = new Set();
+    faultMessage = '';
+}
+
+function getFaultyItems() {
+    return [...engine.components.filter(c => c.fault), ...visualWires.filter(w => w.fault)];
+}
+
+function faultSelectHtml(types, current) {
+    const options = ['', ...types].map(t =>
+        `<option value="${t}" ${(current || '') === t ? 'selected' : ''}>${t ? FAULT_NAMES[t] : 'Ninguna'}</option>`).join('');
+    return `<label>🛠 Avería oculta: <select id="prop-fault">${options}</select></label>`;
+}
+
+// Wires change the netlist, so they need a rebuild rather than a plain solve
+function bindFaultSelect(target, isWire) {
+    const select = document.getElementById('prop-fault');
+    if (!select) return;
+    select.onchange = (e) => {
+        if (e.target.value) target.fault = e.target.value;
+        else delete target.fault;
+        if (isWire) rebuildCircuit(); else engine.solve();
+        draw();
+    };
+    trackPropertyEdits(select, target, ['fault'], 'Cambiar avería');
+}
+
+function drawFaultMark(x, y) {
+    ctx.fillStyle = '#D84315';
+    ctx.font = '14px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText('🛠', x + 30, y - 30);
+}
+
+// What each meter is touching right now: its mode plus the parts on each lead.
+// A placement never seen before counts as one more measurement.
+function updateMeasurements() {
+    engine.components.forEach(m => {
+        if (!MEASURING_TYPES.includes(m.type)) return;
+        const leads = m.nodes.map(n => engine.components
+            .flatMap(c => (c === m ? [] : c.nodes.map((cn, j) => (cn === n ? `${c.id}:${j}` : null))))
+            .filter(Boolean).sort().join(','));
+        if (leads.some(l => l === '')) return; // A loose lead measures nothing
+        const key = `${m.id}|${m.mode || ''}|${leads.join('|')}`;
+        if (!measurementKeys.has(key)) measurementKeys.add(key);
+    });
+}
+
+function getItemLabel(item) {
+    return item.startComp ? 'El cable' : getComponentLabel(item);
+}
+
+// Checks the part or wire under (x, y) against the hidden faults
+function accuseAt(x, y) {
+    const comp = getComponentAt(x, y);
+    const wireHit = comp ? null : getWireAt(x, y, 15);
+    const item = comp || (wireHit && wireHit.wire);
+    if (!item) return; // Missed: keep waiting for a click on something
+
+    accusing = false;
+    accusations++;
+    const n = measurementKeys.size;
+    if (item.fault) {
+        foundFaults.add(item);
+        const left = getFaultyItems().filter(f => !foundFaults.has(f)).length;
+        faultMessage = `✔ ¡Correcto! ${escapeHtml(getItemLabel(item))}: ${FAULT_NAMES[item.fault]}. ` +
+            `Lo has encontrado con ${n} ${n === 1 ? 'medición' : 'mediciones'}.` +
+            (left > 0 ? ` Quedan ${left} averías.` : ' 🏆 No quedan más averías.');
+    } else {
+        faultMessage = `✘ ${escapeHtml(getItemLabel(item))} funciona bien. Sigue midiendo.`;
+    }
+    updateFaultPanel(true);
+    draw();
+}
+
+// The student's view: only the counters and the last verdict, never where the faults are
+function updateFaultPanel(force = false) {
+    const panel = document.getElementById('fault-panel');
+    const status = document.getElementById('fault-status');
+    const accuse = document.getElementById('btn-accuse');
+    if (!panel || !status || !accuse) return;
+
+    const hidden = getFaultyItems().length;
+    if (hidden > 0 && !teacherMode) updateMeasurements();
+    const key = [hidden, teacherMode, accusing, measurementKeys.size, accusations, faultMessage].join('|');
+    if (!force && key === lastFaultPanelKey) return;
+    lastFaultPanelKey = key;
+
+    accuse.style.display = (hidden > 0 && !teacherMode) ? '' : 'none';
+    accuse.textContent = accusing ? 'Pulsa el componente sospechoso…' : '🔍 Acusar un componente';
+    document.getElementById('btn-teacher').textContent = teacherMode ? '✔ Terminar de preparar' : '🛠 Modo profesor';
+
+    if (teacherMode) {
+        status.textContent = `Selecciona componentes o cables y elige su avería oculta (${hidden} marcadas).`;
+    } else if (hidden > 0) {
+        status.innerHTML = `Mediciones: ${measurementKeys.size} · Acusaciones: ${accusations}` +
+            (faultMessage ? `<br>${faultMessage}` : '');
+    } else {
+        status.textContent = 'Prepara un ejercicio de averías en modo profesor.';
+    }
+}
+
+// Teacher mode shows every hidden fault, so a student must not stumble into it
+function canEnterTeacherMode() {
+    if (getFaultyItems().length === 0) return true;
+    if (teacherKey) {
+        const key = prompt('Clave del modo profesor:');
+        if (key === null) return false;
+        if (key !== teacherKey) {
+            alert('Clave incorrecta.');
+            return false;
+        }
+        return true;
+    }
+    return confirm('El modo profesor muestra todas las averías ocultas y reinicia el ejercicio. ¿Continuar?');
+}
+
+const teacherBtn = document.getElementById('btn-teacher');
+if (teacherBtn) {
+    document.getElementById('btn-accuse').addEventListener('click', () => {
+        accusing = !accusing;
+        updateFaultPanel(true);
+    });
+    teacherBtn.addEventListener('click', () => {
+        if (!teacherMode && !canEnterTeacherMode()) return;
+        if (teacherMode && getFaultyItems().length > 0) {
+            const key = prompt('Clave para volver al modo profesor (déjala vacía para no poner ninguna):', teacherKey);
+            if (key === null) return; // Cancelled: keep preparing
+            teacherKey = key;
+        }
+        teacherMode = !teacherMode;
+        resetTroubleshooting(); // Counting starts when the teacher hands the circuit over
+        updatePropertiesPanel(selectedComponent);
+        updateFaultPanel(true);
+        draw();
+    });
+}
+
+// --- Sounds ---
+let audioCtx = null;
+
+// Shared lazily-created audio context; null when the browser has no Web Audio
+function getAudioContext() {
+    const AudioCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtor) return null;
+    if (!audioCtx) audioCtx = new AudioCtor();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    return audioCtx;
+}
+
+// Short mechanical click: a burst of quickly decaying noise
+function playRelayClick() {
+    if (!getAudioContext()) return;
+
+    const length = Math.floor(audioCtx.sampleRate * 0.02);
+    const buffer = audioCtx.createBuffer(1, length, audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+
+    const source = audioCtx.createBufferSource();
+    const gain = audioCtx.createGain();
+    source.buffer = buffer;
+    gain.gain.value = 0.3;
+    source.connect(gain).connect(audioCtx.destination);
+    source.start();
+}
+
+// Clicks every relay whose contacts moved since the last frame
+function updateRelayClicks(now) {
+    engine.components.forEach(c => {
+        if (c.type !== 'relay') return;
+        if (c.shownEnergized !== undefined && c.shownEnergized !== c.energized) {
+            c.clickTime = now;
+            playRelayClick();
+        }
+        c.shownEnergized = c.energized;
+    });
+}
+
+// Continuity tester: one steady tone while any meter sees a closed path
+let beepOscillator = null;
+
+function updateMeterBeeps() {
+    const beeping = engine.components.some(c => c.type === 'multimeter' && isMeterBeeping(c));
+    if (beeping && !beepOscillator) {
+        if (!getAudioContext()) return;
+        const gain = audioCtx.createGain();
+        gain.gain.value = 0.05;
+        beepOscillator = audioCtx.createOscillator();
+        beepOscillator.frequency.value = 2700;
+        beepOscillator.connect(gain).connect(audioCtx.destination);
+        beepOscillator.start();
+    } else if (!beeping && beepOscillator) {
+        beepOscillator.stop();
+        beepOscillator = null;
+    }
+}
+
 // --- Loop ---
-function loop() {
+let lastFrameTime = null;
+
+function loop(now) {
     time++;
+
+    // Advance simulated time so capacitors, inductors and batteries charge / discharge live.
+    // Steady circuits only need their energy counters moved on.
+    if (lastFrameTime !== null) {
+        const dt = Math.min((now - lastFrameTime) / 1000, 0.1); // Clamp after tab switches
+        if (engine.isTimeDependent()) engine.solve(dt);
+        else engine.accumulateEnergy(dt);
+    }
+    lastFrameTime = now;
+
+    updateRelayClicks(now);
+    updateMeterBeeps();
     draw();
+    updateWarningsPanel();
+    updateTruthPanel();
+    updateAnalysisPanel(now);
+    updateEnergyReadout();
+    updateChallenge(now);
+    updateFaultPanel();
     requestAnimationFrame(loop);
 }
 requestAnimationFrame(loop);
@@ -0,0 +1,105 @@
+/**
+ * Shareable Circuit Links
+ *
+ * Overview:
+ * Packs a saved circuit document into the URL fragment (#c=...) so a circuit can be
+ * shared as a single link without any server. The document is first made compact
+ * (arrays instead of objects, wires pointing at component indices), then deflated
+ * and written as URL-safe base64.
+ *
+ * Compact layout:
+ * [version, [[type, x, y, { props }], ...], [[fromIndex, fromTerminal, toIndex, toTerminal, fault, [x1, y1, x2, y2...]], ...]]
+ * where fault is 0 when a wire only has bends.
+ */
+
+const SHARE_PARAM = 'c';
+const SHARE_COMPRESSION = 'deflate-raw';
+
+// --- Compact Form ---
+
+// Everything except id, type and position, which are written positionally
+function compactCircuit(doc) {
+    const index = new Map();
+    const components = doc.components.map((c, i) => {
+        index.set(c.id, i);
+        const { id, type, x, y, ...props } = c;
+        const row = [type, Math.round(x), Math.round(y)];
+        if (Object.keys(props).length > 0) row.push(props);
+        return row;
+    });
+    const wires = (doc.wires || [])
+        .filter(w => index.has(w.from.id) && index.has(w.to.id))
+        .map(w => {
+            const row = [index.get(w.from.id), w.from.terminal, index.get(w.to.id), w.to.terminal];
+            if (w.fault || w.bends) row.push(w.fault || 0);
+            if (w.bends) row.push(w.bends.flatMap(b => [Math.round(b.x), Math.round(b.y)]));
+            return row;
+        });
+    return [doc.version, components, wires];
+}
+
+// Inverse of compactCircuit. Returns { version, components, wires }; the caller adds the format tag.
+function expandCircuit(data) {
+    if (!Array.isArray(data) || !Array.isArray(data[1]) || !data[1].every(Array.isArray) ||
+        (data[2] !== undefined && !(Array.isArray(data[2]) && data[2].every(Array.isArray)))) {
+        throw new Error('El enlace no contiene un circuito.');
+    }
+    const [version, rows, wireRows] = data;
+    const components = rows.map((row, i) => ({ ...(row[3] || {}), id: i, type: row[0], x: row[1], y: row[2] }));
+    const wires = (wireRows || []).map(row => {
+        const wire = { from: { id: row[0], terminal: row[1] }, to: { id: row[2], terminal: row[3] } };
+        if (row[4]) wire.fault = row[4];
+        if (Array.isArray(row[5])) {
+            wire.bends = [];
+            for (let i = 0; i + 1 < row[5].length; i += 2) wire.bends.push({ x: row[5][i], y: row[5][i + 1] });
+        }
+        return wire;
+    });
+    return { version, components, wires };
+}
+
+// --- Encoding ---
+
+async function transformBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// Saved circuit document -> text for the fragment (without the leading '#c=')
+async function encodeCircuitLink(doc) {
+    const json = JSON.stringify(compactCircuit(doc));
+    const packed = await transformBytes(new TextEncoder().encode(json), new CompressionStream(SHARE_COMPRESSION));
+    return bytesToBase64Url(packed);
+}
+
+// Whatever goes wrong (truncated data, not JSON, not a circuit) is reported as a damaged link
+async function decodeCircuitLink(code) {
+    try {
+        const bytes = await transformBytes(base64UrlToBytes(code), new DecompressionStream(SHARE_COMPRESSION));
+        return expandCircuit(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (err) {
+        throw new Error('El enlace está incompleto o dañado.');
+    }
+}
+
+// The '#c=...' code of a location hash, or null when there is none
+function getLinkCode(hash) {
+    const match = new RegExp(`^#?${SHARE_PARAM}=([A-Za-z0-9_-]+)`).exec(hash || '');
+    return match ? match[1] : null;
+}
+
+// --- Module Export ---
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SHARE_PARAM, compactCircuit, expandCircuit, encodeCircuitLink, decodeCircuitLink, getLinkCode };
+}
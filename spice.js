@@ -0,0 +1,286 @@
+/**
+ * SPICE Netlist Export / Import
+ *
+ * Overview:
+ * Converts the circuit held by a CircuitEngine into a SPICE (.cir) netlist
+ * that ngspice / LTspice can run, and parses simple SPICE netlists back
+ * into a list of components and wires the UI can place on the canvas.
+ */
+
+// Engine helpers: globals in the browser, required under Node.
+// Top-level consts are shared between classic scripts but are not globalThis properties, hence the explicit list.
+const engineApi = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : {
+    getBatteryEmf, getDiodeParams, getPotResistances,
+    LOGIC_GATES, LOGIC_HIGH, LOGIC_INPUT_RESISTANCE, LOGIC_OUTPUT_RESISTANCE,
+    METER_VOLTAGE_RESISTANCE, METER_TEST_CURRENT, METER_TEST_RESISTANCE
+};
+
+// --- Values ---
+
+// SPICE scale suffixes (case-insensitive). Note: 'M' is milli, mega is 'MEG'.
+const SPICE_SUFFIXES = [
+    ['MEG', 1e6], ['MIL', 25.4e-6],
+    ['T', 1e12], ['G', 1e9], ['K', 1e3], ['M', 1e-3],
+    ['U', 1e-6], ['N', 1e-9], ['P', 1e-12], ['F', 1e-15]
+];
+
+// "4.7k" -> 4700, "10uF" -> 1e-5, "1MEG" -> 1e6. Returns NaN when there is no number.
+function parseSpiceValue(str) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(.*)$/i.exec(String(str).trim());
+    if (!match) return NaN;
+    const value = parseFloat(match[1]);
+    const rest = match[2].replace(/µ/g, 'u').toUpperCase();
+    const suffix = SPICE_SUFFIXES.find(([s]) => rest.startsWith(s));
+    return suffix ? value * suffix[1] : value; // Any trailing unit (Ohm, F, H, V) is ignored
+}
+
+// 4700 -> "4.7k", 1e-5 -> "10u"
+function formatSpiceValue(value) {
+    if (value === 0) return '0';
+    const units = [[1e9, 'G'], [1e6, 'MEG'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'u'], [1e-9, 'n'], [1e-12, 'p']];
+    const abs = Math.abs(value);
+    const unit = units.find(([scale]) => abs >= scale);
+    if (!unit) return value.toExponential(4);
+    return `${+(value / unit[0]).toPrecision(6)}${unit[1]}`;
+}
+
+// --- Export ---
+
+/**
+ * Builds a SPICE netlist from the engine's current netlist (call buildNetlist() first).
+ * Node names come from engine.nodes; every 0V reference becomes SPICE node 0.
+ */
+function exportSpiceNetlist(engine, title = 'Simulador de Circuitos Lab') {
+    const nodeName = (n) => (!n ? '0' : (n.isGND ? '0' : n.id));
+    const counters = {};
+    const nextName = (prefix) => {
+        counters[prefix] = (counters[prefix] || 0) + 1;
+        return `${prefix}${counters[prefix]}`;
+    };
+
+    const lines = [`* ${title}`];
+    const models = new Map();
+
+    engine.components.forEach(c => {
+        const n = (i) => nodeName(c.nodes[i]);
+
+        if (c.type === 'ground') return; // Its node is already 0
+
+        // A multimeter's fuse only opens its current range: the other modes keep working
+        if (c.broken && !(c.type === 'multimeter' && c.mode !== 'current')) {
+            lines.push(`* ${c.type} ${c.id} (broken: open circuit)`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(1)} 1G`);
+            return;
+        }
+
+        if (c.type === 'battery') {
+            const emf = engineApi.getBatteryEmf(c);
+            const name = nextName('V');
+            if (c.resistance > 0) {
+                // Internal resistance in series with the + terminal
+                lines.push(`* battery ${c.id}: internal resistance R${name}`);
+                lines.push(`${name} ${name}_int ${n(1)} DC ${formatSpiceValue(emf)}`);
+                lines.push(`R${name} ${n(0)} ${name}_int ${formatSpiceValue(c.resistance)}`);
+            } else {
+                lines.push(`${name} ${n(0)} ${n(1)} DC ${formatSpiceValue(emf)}`);
+            }
+        } else if (c.type === 'ammeter') {
+            // 0V source: SPICE's usual current probe
+            lines.push(`* ammeter ${c.id}`);
+            lines.push(`${nextName('V')} ${n(0)} ${n(1)} DC 0`);
+        } else if (c.type === 'multimeter') {
+            // Voltage: high-impedance input; current: 0V probe; Ω / continuity: test current into the red lead
+            lines.push(`* multimeter ${c.id} (${c.mode})`);
+            if (c.mode === 'current') {
+                lines.push(`${nextName('V')} ${n(0)} ${n(1)} DC 0`);
+            } else if (c.mode === 'voltage') {
+                lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${formatSpiceValue(engineApi.METER_VOLTAGE_RESISTANCE)}`);
+            } else {
+                lines.push(`${nextName('I')} ${n(1)} ${n(0)} DC ${formatSpiceValue(engineApi.METER_TEST_CURRENT)}`);
+                lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${formatSpiceValue(engineApi.METER_TEST_RESISTANCE)}`);
+            }
+        } else if (c.type === 'switch' || c.type === 'pushbutton') {
+            lines.push(`* ${c.type} ${c.id} (${c.isOpen ? 'open' : 'closed'})`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${c.isOpen ? '1G' : '1m'}`);
+        } else if (c.type === 'spdt') {
+            lines.push(`* spdt ${c.id} (common to ${c.spdtState === 0 ? 'T1' : 'T2'})`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${c.spdtState === 0 ? '1m' : '1G'}`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(2)} ${c.spdtState === 1 ? '1m' : '1G'}`);
+        } else if (engineApi.LOGIC_GATES[c.type] || c.type === 'logicinput' || c.type === 'logicprobe') {
+            // Logic parts at their present levels: input loads to 0 and a fixed source behind the output resistance
+            lines.push(`* ${c.type} ${c.id} (logic ${c.high ? 1 : 0})`);
+            const outputs = (c.type === 'logicprobe') ? 0 : 1;
+            for (let k = 0; k < c.nodes.length - outputs; k++) {
+                lines.push(`${nextName('R')} ${n(k)} 0 ${formatSpiceValue(engineApi.LOGIC_INPUT_RESISTANCE)}`);
+            }
+            if (outputs) {
+                const name = nextName('V');
+                lines.push(`${name} ${name}_int 0 DC ${c.high ? formatSpiceValue(engineApi.LOGIC_HIGH) : 0}`);
+                lines.push(`R${name} ${n(c.nodes.length - 1)} ${name}_int ${formatSpiceValue(engineApi.LOGIC_OUTPUT_RESISTANCE)}`);
+            }
+        } else if (c.type === 'relay') {
+            lines.push(`* relay ${c.id}: coil, then COM-NO and COM-NC (${c.energized ? 'energized' : 'released'})`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${formatSpiceValue(c.resistance)}`);
+            lines.push(`${nextName('R')} ${n(2)} ${n(3)} ${c.energized ? '1m' : '1G'}`);
+            lines.push(`${nextName('R')} ${n(2)} ${n(4)} ${c.energized ? '1G' : '1m'}`);
+        } else if (c.type === 'potentiometer') {
+            const [rAW, rWB] = engineApi.getPotResistances(c);
+            lines.push(`* potentiometer ${c.id} (A-W, W-B)`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(2)} ${formatSpiceValue(rAW)}`);
+            lines.push(`${nextName('R')} ${n(2)} ${n(1)} ${formatSpiceValue(rWB)}`);
+        } else if (c.type === 'capacitor') {
+            lines.push(`${nextName('C')} ${n(0)} ${n(1)} ${formatSpiceValue(c.capacitance)}`);
+        } else if (c.type === 'inductor') {
+            lines.push(`${nextName('L')} ${n(0)} ${n(1)} ${formatSpiceValue(c.inductance)}`);
+        } else if (c.type === 'led' || c.type === 'diode') {
+            const model = (c.type === 'led') ? `LED_${(c.color || 'red').toUpperCase()}` : 'D1N4148';
+            const p = engineApi.getDiodeParams(c);
+            models.set(model, `.model ${model} D(IS=${p.is.toExponential(4)} N=${p.n})`);
+            lines.push(`${nextName('D')} ${n(0)} ${n(1)} ${model}`);
+        } else if (c.type === 'npn' || c.type === 'pnp') {
+            // Qname collector base emitter model
+            const model = `Q${c.type.toUpperCase()}_B${c.beta}`;
+            models.set(model, `.model ${model} ${c.type.toUpperCase()}(IS=1e-14 BF=${c.beta} BR=1)`);
+            lines.push(`${nextName('Q')} ${n(0)} ${n(2)} ${n(1)} ${model}`);
+        } else if (c.type === 'nmos') {
+            // Mname drain gate source bulk model (bulk tied to the source)
+            const model = `NMOS_VT${c.vth}_KP${c.kp}`; // One model per parameter set
+            models.set(model, `.model ${model} NMOS(VTO=${c.vth} KP=${c.kp})`);
+            lines.push(`${nextName('M')} ${n(0)} ${n(2)} ${n(1)} ${n(1)} ${model}`);
+        } else {
+            // Bulb, resistor, meters, motor, buzzer, LDR, fuse, joint: plain resistances
+            if (c.type !== 'resistor') lines.push(`* ${c.type} ${c.id}`);
+            lines.push(`${nextName('R')} ${n(0)} ${n(1)} ${formatSpiceValue(c.resistance)}`);
+        }
+    });
+
+    models.forEach(card => lines.push(card));
+    lines.push('.op');
+    lines.push('.end');
+    return lines.join('\n') + '\n';
+}
+
+// --- Import ---
+
+/**
+ * Parses a simple SPICE netlist (R, C, L, V, D, Q, M and .model cards).
+ * The first line is the title, as in SPICE. Node 0 / GND becomes a ground symbol.
+ * Returns { components: [{ id, type, ...props }], wires: [{ from: { id, terminal }, to: { id, terminal } }], skipped: [lines] }.
+ * Unsupported lines and repeated element names (names are case-insensitive, as in SPICE) are skipped.
+ * Component positions are left to the caller.
+ */
+function parseSpiceNetlist(text) {
+    // Join '+' continuation lines, drop the title and comments
+    const rawLines = String(text).split(/\r?\n/).slice(1);
+    const lines = [];
+    rawLines.forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('+') && lines.length > 0) lines[lines.length - 1] += ' ' + trimmed.slice(1);
+        else lines.push(trimmed);
+    });
+
+    const components = [];
+    const skipped = [];
+    const names = new Set(); // Element names seen so far, upper case
+    const models = {};
+    const nodeTerminals = new Map(); // node name -> [{ id, terminal }]
+
+    const attach = (node, id, terminal) => {
+        let name = node.toLowerCase();
+        if (name === 'gnd') name = '0';
+        if (!nodeTerminals.has(name)) nodeTerminals.set(name, []);
+        nodeTerminals.get(name).push({ id, terminal });
+    };
+
+    // .model cards first, so diodes and transistors can look them up wherever they appear
+    lines.forEach(line => {
+        const m = /^\.model\s+(\S+)\s+(\w+)(.*)$/i.exec(line);
+        if (!m) return;
+        const params = {};
+        m[3].replace(/(\w+)\s*=\s*(\S+?)(?=[\s,)]|$)/g, (_, key, value) => {
+            params[key.toUpperCase()] = parseSpiceValue(value);
+        });
+        models[m[1].toUpperCase()] = { type: m[2].toUpperCase(), params };
+    });
+
+    for (const line of lines) {
+        if (!line || line.startsWith('*')) continue;
+        if (/^\.end\b/i.test(line)) break;
+        if (line.startsWith('.')) continue;
+
+        const tokens = line.split(/[\s,()]+/).filter(Boolean);
+        const kind = tokens[0][0].toUpperCase();
+        const id = `spice_${tokens[0]}`;
+        if (names.has(tokens[0].toUpperCase())) {
+            skipped.push(line); // Its wires would attach to the first element of that name
+            continue;
+        }
+        let comp = null;
+        let nodeTokens = [tokens[1], tokens[2]]; // Node of each terminal, in engine order
+
+        if (kind === 'R' && tokens.length >= 4) {
+            comp = { id, type: 'resistor', resistance: parseSpiceValue(tokens[3]) };
+        } else if (kind === 'C' && tokens.length >= 4) {
+            comp = { id, type: 'capacitor', capacitance: parseSpiceValue(tokens[3]) };
+        } else if (kind === 'L' && tokens.length >= 4) {
+            comp = { id, type: 'inductor', inductance: parseSpiceValue(tokens[3]) };
+        } else if (kind === 'V' && tokens.length >= 3) {
+            const valueTok = tokens.slice(3).find(t => t.toUpperCase() !== 'DC');
+            const voltage = (valueTok === undefined) ? 0 : parseSpiceValue(valueTok);
+            // SPICE sources are ideal: an exported internal resistance comes back as its own R line
+            comp = (voltage === 0) ? { id, type: 'ammeter' } : { id, type: 'battery', voltage, resistance: 0 };
+        } else if (kind === 'D' && tokens.length >= 3) {
+            const model = (tokens[3] || '').toUpperCase();
+            const color = /LED[_-]?(RED|GREEN|BLUE|WHITE)/.exec(model);
+            if (color) comp = { id, type: 'led', color: color[1].toLowerCase() };
+            else if (model.includes('LED')) comp = { id, type: 'led', color: 'red' };
+            else comp = { id, type: 'diode' };
+        } else if (kind === 'Q' && tokens.length >= 5) {
+            // Q collector base emitter model
+            const model = models[tokens[4].toUpperCase()];
+            const type = (model && model.type === 'PNP') ? 'pnp' : 'npn';
+            comp = { id, type, beta: (model && model.params.BF) || 100 };
+            nodeTokens = [tokens[1], tokens[3], tokens[2]];
+        } else if (kind === 'M' && tokens.length >= 5) {
+            // M drain gate source [bulk] model: only N-channel parts exist here
+            const model = models[tokens[tokens.length - 1].toUpperCase()];
+            if (!model || model.type === 'NMOS') {
+                const params = model ? model.params : {};
+                comp = { id, type: 'nmos', vth: params.VTO ?? 2, kp: params.KP ?? 0.2 };
+                nodeTokens = [tokens[1], tokens[3], tokens[2]];
+            }
+        }
+
+        const values = comp ? Object.keys(comp).filter(k => k !== 'id' && k !== 'type' && k !== 'color') : [];
+        if (!comp || values.some(k => !Number.isFinite(comp[k]))) {
+            skipped.push(line);
+            continue;
+        }
+
+        components.push(comp);
+        names.add(tokens[0].toUpperCase());
+        nodeTokens.forEach((node, terminal) => attach(node, id, terminal));
+    }
+
+    // Make the reference visible with a ground symbol
+    if (nodeTerminals.has('0')) {
+        const gnd = { id: 'spice_gnd', type: 'ground' };
+        components.push(gnd);
+        nodeTerminals.get('0').unshift({ id: gnd.id, terminal: 0 });
+    }
+
+    // Chain every node's terminals with wires
+    const wires = [];
+    nodeTerminals.forEach(terms => {
+        for (let i = 1; i < terms.length; i++) {
+            wires.push({ from: terms[i - 1], to: terms[i] });
+        }
+    });
+
+    return { components, wires, skipped };
+}
+
+// --- Module Export ---
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseSpiceValue, formatSpiceValue, exportSpiceNetlist, parseSpiceNetlist };
+}
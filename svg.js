@@ -0,0 +1,240 @@
+/**
+ * SVG Drawing Context
+ *
+ * Overview:
+ * A stand-in for CanvasRenderingContext2D that records the drawing as SVG elements,
+ * so the canvas drawing code (components, wires, labels) can also produce a vector
+ * image. It covers the subset of the canvas API the simulator uses: paths with lines,
+ * arcs and quadratic curves, rectangles, text, line dashes and save / restore with
+ * translate / rotate / scale. Shadows are ignored.
+ *
+ * Transforms are applied to the coordinates as they are drawn, so the output is a flat
+ * list of paths and texts in image pixels.
+ */
+
+// --- Formatting ---
+
+const SVG_DEFAULT_FONT_SIZE = 10;
+
+// Two decimals are plenty at 1 px per unit
+const svgNum = (n) => +n.toFixed(2);
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// '13px sans-serif', 'bold 10px monospace' -> { size, weight, family }
+function parseCanvasFont(font) {
+    const match = /(?:(bold|normal|\d{3})\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font || '');
+    if (!match) return { size: SVG_DEFAULT_FONT_SIZE, weight: 'normal', family: 'sans-serif' };
+    return { size: parseFloat(match[2]), weight: match[1] || 'normal', family: match[3] };
+}
+
+const SVG_TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+// --- Context ---
+
+class SvgContext {
+    constructor() {
+        this.elements = [];
+        this.path = [];
+        this.hasPoint = false;
+        this.stack = [];
+        this.matrix = [1, 0, 0, 1, 0, 0]; // a, b, c, d, e, f as in canvas setTransform
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = `${SVG_DEFAULT_FONT_SIZE}px sans-serif`;
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.shadowBlur = 0;
+        this.shadowColor = 'transparent';
+        this.lineDash = [];
+    }
+
+    // --- State ---
+
+    save() {
+        const { matrix, fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, textAlign, textBaseline,
+            globalAlpha, lineDash } = this;
+        this.stack.push({ matrix: matrix.slice(), fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font,
+            textAlign, textBaseline, globalAlpha, lineDash });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setLineDash(segments) { this.lineDash = segments.slice(); }
+    getLineDash() { return this.lineDash.slice(); }
+
+    translate(x, y) {
+        const m = this.matrix;
+        m[4] += m[0] * x + m[2] * y;
+        m[5] += m[1] * x + m[3] * y;
+    }
+
+    scale(x, y) {
+        const m = this.matrix;
+        m[0] *= x; m[1] *= x;
+        m[2] *= y; m[3] *= y;
+    }
+
+    rotate(angle) {
+        const [a, b, c, d] = this.matrix;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.matrix[0] = a * cos + c * sin;
+        this.matrix[1] = b * cos + d * sin;
+        this.matrix[2] = c * cos - a * sin;
+        this.matrix[3] = d * cos - b * sin;
+    }
+
+    setTransform(a, b, c, d, e, f) { this.matrix = [a, b, c, d, e, f]; }
+
+    // Image coordinates of a user-space point
+    point(x, y) {
+        const m = this.matrix;
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    // How much one user unit measures in the image (uniform scales only)
+    unit() {
+        const m = this.matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    // --- Paths ---
+
+    beginPath() {
+        this.path = [];
+        this.hasPoint = false;
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this.point(x, y);
+        this.path.push(`M${svgNum(px)} ${svgNum(py)}`);
+        this.hasPoint = true;
+    }
+
+    lineTo(x, y) {
+        if (!this.hasPoint) { this.moveTo(x, y); return; }
+        const [px, py] = this.point(x, y);
+        this.path.push(`L${svgNum(px)} ${svgNum(py)}`);
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        if (!this.hasPoint) this.moveTo(cx, cy);
+        const [qx, qy] = this.point(cx, cy);
+        const [px, py] = this.point(x, y);
+        this.path.push(`Q${svgNum(qx)} ${svgNum(qy)} ${svgNum(px)} ${svgNum(py)}`);
+    }
+
+    closePath() {
+        if (this.hasPoint) this.path.push('Z');
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    // Same angle conventions as the canvas: radians, clockwise on screen unless anticlockwise
+    arc(cx, cy, r, start, end, anticlockwise = false) {
+        let span = anticlockwise ? start - end : end - start;
+        const full = span >= 2 * Math.PI;
+        span = full ? 2 * Math.PI : ((span % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const dir = anticlockwise ? -1 : 1;
+        const at = (angle) => this.point(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+
+        const [sx, sy] = at(start);
+        this.path.push(`${this.hasPoint ? 'L' : 'M'}${svgNum(sx)} ${svgNum(sy)}`);
+        this.hasPoint = true;
+        if (span === 0) return;
+
+        const radius = svgNum(r * this.unit());
+        const m = this.matrix;
+        const sweep = ((dir > 0) === (m[0] * m[3] - m[1] * m[2] > 0)) ? 1 : 0;
+        // A full circle is two half arcs: SVG cannot draw an arc back to its own start
+        const steps = full ? [start + dir * Math.PI, start] : [start + dir * span];
+        steps.forEach(angle => {
+            const [ex, ey] = at(angle);
+            const large = (!full && span > Math.PI) ? 1 : 0;
+            this.path.push(`A${radius} ${radius} 0 ${large} ${sweep} ${svgNum(ex)} ${svgNum(ey)}`);
+        });
+    }
+
+    // --- Painting ---
+
+    paintAttributes(mode) {
+        const alpha = this.globalAlpha < 1 ? ` opacity="${svgNum(this.globalAlpha)}"` : '';
+        if (mode === 'fill') return `fill="${escapeXml(this.fillStyle)}" stroke="none"${alpha}`;
+        const scale = this.unit();
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(d => svgNum(d * scale)).join(' ')}"` : '';
+        return `fill="none" stroke="${escapeXml(this.strokeStyle)}" stroke-width="${svgNum(this.lineWidth * scale)}"` +
+            ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}${alpha}`;
+    }
+
+    fill() {
+        if (this.path.length > 0) this.elements.push(`<path d="${this.path.join(' ')}" ${this.paintAttributes('fill')}/>`);
+    }
+
+    stroke() {
+        if (this.path.length > 0) this.elements.push(`<path d="${this.path.join(' ')}" ${this.paintAttributes('stroke')}/>`);
+    }
+
+    // Rectangle shortcuts leave the current path alone
+    paintRect(x, y, w, h, mode) {
+        const saved = { path: this.path, hasPoint: this.hasPoint };
+        this.beginPath();
+        this.rect(x, y, w, h);
+        if (mode === 'fill') this.fill(); else this.stroke();
+        Object.assign(this, saved);
+    }
+
+    fillRect(x, y, w, h) { this.paintRect(x, y, w, h, 'fill'); }
+    strokeRect(x, y, w, h) { this.paintRect(x, y, w, h, 'stroke'); }
+
+    // --- Text ---
+
+    fillText(text, x, y) {
+        if (text === '' || text === undefined || text === null) return;
+        const { size, weight, family } = parseCanvasFont(this.font);
+        const [px, py] = this.point(x, y);
+        const angle = Math.atan2(this.matrix[1], this.matrix[0]) * 180 / Math.PI;
+        const rotate = Math.abs(angle) > 0.01 ? ` transform="rotate(${svgNum(angle)} ${svgNum(px)} ${svgNum(py)})"` : '';
+        const baseline = SVG_BASELINES[this.textBaseline] ? ` dominant-baseline="${SVG_BASELINES[this.textBaseline]}"` : '';
+        const alpha = this.globalAlpha < 1 ? ` opacity="${svgNum(this.globalAlpha)}"` : '';
+        this.elements.push(`<text x="${svgNum(px)}" y="${svgNum(py)}" font-family="${escapeXml(family)}"` +
+            ` font-size="${svgNum(size * this.unit())}" font-weight="${weight}"` +
+            ` text-anchor="${SVG_TEXT_ANCHORS[this.textAlign] || 'start'}"${baseline}` +
+            ` fill="${escapeXml(this.fillStyle)}"${alpha}${rotate}>${escapeXml(text)}</text>`);
+    }
+
+    // Rough width: the real one depends on fonts the SVG viewer picks
+    measureText(text) {
+        return { width: String(text).length * parseCanvasFont(this.font).size * 0.6 };
+    }
+
+    // The whole drawing as an SVG document of the given size in pixels
+    toSVG(width, height) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNum(width)}" height="${svgNum(height)}"` +
+            ` viewBox="0 0 ${svgNum(width)} ${svgNum(height)}">\n` +
+            this.elements.join('\n') + '\n</svg>\n';
+    }
+}
+
+// --- Module Export ---
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SvgContext, parseCanvasFont };
+}
@@ -0,0 +1,137 @@
+/**
+ * Challenge Mode Tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitEngine } = require('../engine.js');
+const { LESSONS, checkGoal, evaluateExercise, validateLesson } = require('../challenges.js');
+
+// Battery with the given parts in series, closing the loop back to its negative terminal
+function seriesLoop(engine, parts) {
+    const bat = engine.addComponent('battery', 0, 0);
+    let prev = bat;
+    let prevTerm = 0;
+    parts.forEach(p => {
+        engine.connect(prev, prevTerm, p, 0);
+        prev = p;
+        prevTerm = 1;
+    });
+    engine.connect(prev, prevTerm, bat, 1);
+    return bat;
+}
+
+test('a bulb counts as lit once it burns enough power', () => {
+    const engine = new CircuitEngine();
+    const sw = engine.addComponent('switch', 0, 0);
+    seriesLoop(engine, [sw, engine.addComponent('bulb', 0, 0)]);
+    engine.buildNetlist();
+    engine.solve();
+    assert.strictEqual(checkGoal(engine, { kind: 'lit', part: 'bulb' }), false);
+
+    sw.isOpen = false;
+    engine.solve();
+    assert.strictEqual(checkGoal(engine, { kind: 'lit', part: 'bulb' }), true);
+});
+
+test('current goals match parts by label or type', () => {
+    const engine = new CircuitEngine();
+    const r = engine.addComponent('resistor', 0, 0);
+    r.resistance = 330;
+    r.label = 'R1';
+    seriesLoop(engine, [r]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(checkGoal(engine, { kind: 'current', part: 'R1', min: 0.02, max: 0.03 }));
+    assert.ok(checkGoal(engine, { kind: 'current', part: 'resistor', min: 0.02, max: 0.03 }));
+    assert.ok(!checkGoal(engine, { kind: 'current', part: 'R2', min: 0 }));
+});
+
+test('truth goals try every switch combination and restore them', () => {
+    const led = { kind: 'lit', part: 'led' };
+    const build = (parallel) => {
+        const engine = new CircuitEngine();
+        const s1 = engine.addComponent('switch', 0, 0);
+        const s2 = engine.addComponent('switch', 0, 0);
+        const r = engine.addComponent('resistor', 0, 0);
+        r.resistance = 470;
+        const diode = engine.addComponent('led', 0, 0);
+        if (parallel) {
+            seriesLoop(engine, [s1, r, diode]);
+            engine.connect(s1, 0, s2, 0);
+            engine.connect(s1, 1, s2, 1);
+        } else {
+            seriesLoop(engine, [s1, s2, r, diode]);
+        }
+        engine.buildNetlist();
+        engine.solve();
+        return { engine, s1, s2 };
+    };
+
+    const series = build(false);
+    assert.ok(checkGoal(series.engine, { kind: 'truth', inputs: 'switch', expect: 'and', output: led }));
+    assert.strictEqual(series.s1.isOpen, true);
+    assert.strictEqual(series.s2.isOpen, true);
+
+    const parallel = build(true);
+    assert.ok(!checkGoal(parallel.engine, { kind: 'truth', inputs: 'switch', expect: 'and', output: led }));
+    assert.ok(checkGoal(parallel.engine, { kind: 'truth', inputs: 'switch', expect: 'or', output: led }));
+});
+
+test('truth goals leave a latched relay as they found it', () => {
+    const engine = new CircuitEngine();
+    const sw = engine.addComponent('switch', 0, 0);
+    sw.isOpen = false;
+    const relay = engine.addComponent('relay', 0, 0);
+    const bat = seriesLoop(engine, [sw, relay]);
+    bat.voltage = 2; // ~20 mA: between dropout and pickup, so the contacts keep whatever state they have
+    relay.energized = true;
+    engine.buildNetlist();
+    engine.solve();
+    assert.strictEqual(relay.energized, true);
+
+    checkGoal(engine, { kind: 'truth', inputs: 'switch', expect: 'or', output: { kind: 'current', part: 'relay', min: 0.01 } });
+    assert.strictEqual(sw.isOpen, false);
+    assert.strictEqual(relay.energized, true);
+});
+
+test('XOR lesson is solved by OR and NAND into an AND', () => {
+    const exercise = LESSONS.find(l => l.id === 'logica').exercises[0];
+    const engine = new CircuitEngine();
+    const a = engine.addComponent('logicinput', 0, 0);
+    a.label = 'A';
+    const b = engine.addComponent('logicinput', 0, 0);
+    b.label = 'B';
+    const s = engine.addComponent('logicprobe', 0, 0);
+    s.label = 'S';
+    const or = engine.addComponent('or', 0, 0);
+    const both = engine.addComponent('and', 0, 0);
+    const not = engine.addComponent('not', 0, 0);
+    const and = engine.addComponent('and', 0, 0);
+    [or, both].forEach(g => {
+        engine.connect(a, 0, g, 0);
+        engine.connect(b, 0, g, 1);
+    });
+    engine.connect(both, 2, not, 0);
+    engine.connect(or, 2, and, 0);
+    engine.connect(not, 1, and, 1);
+    engine.connect(and, 2, s, 0);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.deepStrictEqual(evaluateExercise(engine, exercise), { results: [true], done: true });
+});
+
+test('built-in lessons are valid and broken lesson files are rejected', () => {
+    LESSONS.forEach(lesson => assert.strictEqual(validateLesson(lesson), lesson));
+    assert.throws(() => validateLesson({ title: 'Vacía', exercises: [] }));
+    assert.throws(() => validateLesson({
+        title: 'Mala', exercises: [{ title: 'X', goals: [{ text: '?', check: { kind: 'magic' } }] }]
+    }), /magic/);
+    assert.throws(() => validateLesson({
+        title: 'Muda', exercises: [{ title: 'X', goals: [{ check: { kind: 'intact' } }] }]
+    }), /texto/);
+});
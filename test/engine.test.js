@@ -0,0 +1,844 @@
+/**
+ * Engine Test Suite
+ *
+ * Checks the solver against hand-computed values, without a browser.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitEngine, getComponentPower } = require('../engine.js');
+
+// --- Helpers ---
+
+const near = (actual, expected, tol = 1e-3) => {
+    assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+};
+
+const voltageAcross = (comp, a = 0, b = 1) => comp.nodes[a].voltage - comp.nodes[b].voltage;
+
+// Battery with the given parts in series, closing the loop back to its negative terminal
+function seriesLoop(engine, voltage, parts) {
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.voltage = voltage;
+    bat.resistance = 0; // Ideal source, so expected values stay round
+    let prev = bat;
+    let prevTerm = 0;
+    parts.forEach(p => {
+        engine.connect(prev, prevTerm, p, 0);
+        prev = p;
+        prevTerm = 1;
+    });
+    engine.connect(prev, prevTerm, bat, 1);
+    return bat;
+}
+
+function resistor(engine, ohms) {
+    const r = engine.addComponent('resistor', 0, 0);
+    r.resistance = ohms;
+    r.maxPower = 0; // Never burns, so the circuit stays as built
+    return r;
+}
+
+// --- Netlist ---
+
+test('wired terminals share a node and unwired ones do not', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 100);
+    engine.connect(r1, 1, r2, 0);
+    engine.buildNetlist();
+
+    assert.strictEqual(r1.nodes[1], r2.nodes[0]);
+    assert.notStrictEqual(r1.nodes[0], r2.nodes[1]);
+    assert.strictEqual(engine.nodes.length, 3);
+});
+
+test('every island gets its own reference', () => {
+    const engine = new CircuitEngine();
+    seriesLoop(engine, 9, [resistor(engine, 100)]);
+    seriesLoop(engine, 5, [resistor(engine, 100)]);
+    engine.buildNetlist();
+
+    assert.strictEqual(engine.islandCount, 2);
+    assert.strictEqual(engine.nodes.filter(n => n.isGND).length, 2);
+});
+
+test('a ground symbol replaces the automatic reference', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 100);
+    seriesLoop(engine, 10, [r1, r2]);
+    const gnd = engine.addComponent('ground', 0, 0);
+    engine.connect(r1, 1, gnd, 0);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(!engine.nodes.some(n => n.autoGround));
+    near(r1.nodes[0].voltage, 5);
+    near(r2.nodes[1].voltage, -5);
+});
+
+// --- Resistive Networks ---
+
+test('series resistors share the current', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 200);
+    const bat = seriesLoop(engine, 9, [r1, r2]);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(r1.current, 0.03, 1e-6);
+    near(r2.current, 0.03, 1e-6);
+    near(voltageAcross(r1), 3);
+    near(voltageAcross(r2), 6);
+    near(Math.abs(bat.current), 0.03, 1e-6);
+});
+
+test('parallel resistors split the current', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.voltage = 12;
+    bat.resistance = 0;
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 300);
+    [r1, r2].forEach(r => {
+        engine.connect(bat, 0, r, 0);
+        engine.connect(r, 1, bat, 1);
+    });
+    engine.buildNetlist();
+    engine.solve();
+
+    near(r1.current, 0.12, 1e-6);
+    near(r2.current, 0.04, 1e-6);
+    near(Math.abs(bat.current), 0.16, 1e-6);
+});
+
+test('voltage divider', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 1000);
+    const r2 = resistor(engine, 2000);
+    seriesLoop(engine, 9, [r1, r2]);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(voltageAcross(r2), 6);
+});
+
+test('potentiometer wiper divides the supply', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.voltage = 10;
+    const pot = engine.addComponent('potentiometer', 0, 0);
+    pot.maxResistance = 1000;
+    pot.wiperPos = 0.25;
+    engine.connect(bat, 0, pot, 0);
+    engine.connect(pot, 1, bat, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    // A-W is 250 Ω and W-B is 750 Ω
+    near(voltageAcross(pot, 2, 1), 7.5);
+    near(pot.current, 0.01, 1e-6);
+});
+
+test('open switch blocks the current and closed switch lets it pass', () => {
+    const engine = new CircuitEngine();
+    const sw = engine.addComponent('switch', 0, 0);
+    const r = resistor(engine, 100);
+    seriesLoop(engine, 9, [sw, r]);
+    engine.buildNetlist();
+
+    engine.solve();
+    near(r.current, 0, 1e-6);
+
+    sw.isOpen = false;
+    engine.solve();
+    near(r.current, 0.09, 1e-4);
+});
+
+test('SPDT routes the common terminal to the selected output', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.voltage = 9;
+    const spdt = engine.addComponent('spdt', 0, 0);
+    const rTop = resistor(engine, 100);
+    const rBottom = resistor(engine, 100);
+    engine.connect(bat, 0, spdt, 0);
+    engine.connect(spdt, 1, rTop, 0);
+    engine.connect(spdt, 2, rBottom, 0);
+    engine.connect(rTop, 1, bat, 1);
+    engine.connect(rBottom, 1, bat, 1);
+    engine.buildNetlist();
+
+    spdt.spdtState = 0;
+    engine.solve();
+    near(rTop.current, 0.09, 1e-4);
+    near(rBottom.current, 0, 1e-6);
+
+    spdt.spdtState = 1;
+    engine.solve();
+    near(rTop.current, 0, 1e-6);
+    near(rBottom.current, 0.09, 1e-4);
+});
+
+// --- Battery ---
+
+test('internal resistance makes the terminal voltage sag under load', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 9);
+    const bat = seriesLoop(engine, 10, [r]);
+    bat.resistance = 1;
+    engine.buildNetlist();
+    engine.solve();
+
+    near(r.current, 1, 1e-6);
+    near(voltageAcross(bat), 9);
+});
+
+test('a battery with capacity runs down and goes flat', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 9);
+    const bat = seriesLoop(engine, 9, [r]);
+    bat.resistance = 0;
+    bat.capacity = 1; // 1 mAh at ~1 A lasts ~3.6 s
+    bat.charge = 1;
+    engine.buildNetlist();
+
+    engine.solve(1);
+    assert.ok(bat.charge < 0.75 && bat.charge > 0.7, `charge ${bat.charge}`);
+    for (let i = 0; i < 10; i++) engine.solve(1);
+    near(bat.charge, 0, 1e-9);
+    near(r.current, 0, 1e-6);
+});
+
+// --- Semiconductors ---
+
+test('forward-biased LED drops about its forward voltage', () => {
+    const engine = new CircuitEngine();
+    const led = engine.addComponent('led', 0, 0);
+    const r = resistor(engine, 360);
+    seriesLoop(engine, 9, [r, led]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(engine.converged);
+    // Red LED: 1.8V at 20mA -> (9 - 1.8) / 360 = 20mA
+    near(voltageAcross(led), 1.8, 0.02);
+    near(led.current, 0.02, 5e-4);
+});
+
+test('LED colour sets the forward voltage', () => {
+    const engine = new CircuitEngine();
+    const led = engine.addComponent('led', 0, 0);
+    led.color = 'blue';
+    seriesLoop(engine, 9, [resistor(engine, 290), led]);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(voltageAcross(led), 3.2, 0.02);
+});
+
+test('reverse-biased LED blocks the current', () => {
+    const engine = new CircuitEngine();
+    const led = engine.addComponent('led', 0, 0);
+    const r = resistor(engine, 360);
+    const bat = seriesLoop(engine, 9, [r]);
+    // Insert the LED backwards between the resistor and the battery
+    engine.wires = engine.wires.filter(w => w.startComp !== r || w.startTerm !== 1);
+    engine.connect(r, 1, led, 1);
+    engine.connect(led, 0, bat, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(engine.converged);
+    near(led.current, 0, 1e-9);
+    near(voltageAcross(led), -9, 1e-3);
+});
+
+test('silicon diode drops about 0.7V', () => {
+    const engine = new CircuitEngine();
+    const d = engine.addComponent('diode', 0, 0);
+    seriesLoop(engine, 9, [resistor(engine, 1000), d]);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(voltageAcross(d), 0.7, 0.1);
+});
+
+// Low-side switch: load from + to terminal 0, terminal 1 to -, base / gate resistor from +
+function transistorSwitch(engine, type, rControl, voltage = 9) {
+    const q = engine.addComponent(type, 0, 0);
+    const load = resistor(engine, 100);
+    const rc = resistor(engine, rControl);
+    const bat = seriesLoop(engine, voltage, [load, q]);
+    engine.connect(bat, 0, rc, 0);
+    engine.connect(rc, 1, q, 2);
+    engine.buildNetlist();
+    engine.solve();
+    return { q, load };
+}
+
+test('NPN switch saturates with enough base current', () => {
+    const { q, load } = transistorSwitch(new CircuitEngine(), 'npn', 1000);
+    assert.strictEqual(q.region, 'saturation');
+    assert.ok(voltageAcross(q) < 0.2);
+    near(load.current, 0.089, 1e-3);
+});
+
+test('NPN in the active region amplifies the base current by beta', () => {
+    const engine = new CircuitEngine();
+    const { q } = transistorSwitch(engine, 'npn', 100000);
+    assert.ok(engine.converged);
+    assert.strictEqual(q.region, 'active');
+    near(q.terminalCurrents[0] / q.terminalCurrents[2], q.beta, 1);
+    // Kirchhoff: the emitter carries the other two
+    near(q.terminalCurrents.reduce((a, b) => a + b, 0), 0, 1e-9);
+});
+
+test('NPN without base drive is cut off', () => {
+    const { q, load } = transistorSwitch(new CircuitEngine(), 'npn', 1e9);
+    assert.strictEqual(q.region, 'cutoff');
+    near(load.current, 0, 1e-5);
+});
+
+test('MOSFET turns on above its threshold voltage', () => {
+    const on = transistorSwitch(new CircuitEngine(), 'nmos', 10000);
+    assert.strictEqual(on.q.region, 'ohmic');
+    near(on.load.current, 0.089, 1e-3);
+    near(on.q.terminalCurrents[2], 0, 1e-12); // No gate current
+
+    const off = transistorSwitch(new CircuitEngine(), 'nmos', 10000, 1.5);
+    assert.strictEqual(off.q.region, 'cutoff');
+    near(off.load.current, 0, 1e-6);
+});
+
+// --- Relay ---
+
+// Coil driven by its own battery; a second battery feeds a lamp through COM -> NO
+function relayCircuit(engine, coilVoltage) {
+    const relay = engine.addComponent('relay', 0, 0);
+    const coilBat = engine.addComponent('battery', 0, 0);
+    coilBat.voltage = coilVoltage;
+    coilBat.resistance = 0;
+    engine.connect(coilBat, 0, relay, 0);
+    engine.connect(relay, 1, coilBat, 1);
+
+    const lamp = resistor(engine, 90);
+    const loadBat = engine.addComponent('battery', 0, 0);
+    loadBat.resistance = 0;
+    engine.connect(loadBat, 0, relay, 2);
+    engine.connect(relay, 3, lamp, 0);
+    engine.connect(lamp, 1, loadBat, 1);
+    engine.buildNetlist();
+    return { relay, coilBat, lamp };
+}
+
+test('relay coil current above pick-up closes the NO contact', () => {
+    const engine = new CircuitEngine();
+    const { relay, lamp } = relayCircuit(engine, 5);
+    engine.solve();
+
+    assert.strictEqual(relay.energized, true);
+    near(relay.current, 0.05);
+    near(lamp.current, 0.1);
+    assert.ok(engine.converged);
+});
+
+test('relay holds its state between drop-out and pick-up', () => {
+    const engine = new CircuitEngine();
+    const { relay, coilBat, lamp } = relayCircuit(engine, 2); // 20mA: in the hysteresis band
+    engine.solve();
+    assert.strictEqual(relay.energized, false);
+    near(lamp.current, 0, 1e-6);
+
+    coilBat.voltage = 5;
+    engine.solve();
+    coilBat.voltage = 2;
+    engine.solve();
+    assert.strictEqual(relay.energized, true);
+
+    coilBat.voltage = 1; // 10mA: below drop-out
+    engine.solve();
+    assert.strictEqual(relay.energized, false);
+});
+
+test('a zero or missing coil resistance is clamped like any resistor', () => {
+    [0, NaN].forEach(resistance => {
+        const engine = new CircuitEngine();
+        const { relay, coilBat } = relayCircuit(engine, 5);
+        coilBat.resistance = 0.1;
+        relay.resistance = resistance;
+        engine.solve();
+
+        assert.ok(Number.isFinite(relay.current));
+        near(relay.current, 50, 1e-3); // Limited by the battery's internal resistance
+        assert.strictEqual(relay.energized, true);
+    });
+});
+
+// --- Multimeter ---
+
+test('multimeter reads volts across and amps in series', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 1000);
+    const r2 = resistor(engine, 2000);
+    const amps = engine.addComponent('multimeter', 0, 0);
+    amps.mode = 'current';
+    seriesLoop(engine, 9, [amps, r1, r2]);
+    const volts = engine.addComponent('multimeter', 0, 0);
+    engine.connect(volts, 0, r2, 0);
+    engine.connect(volts, 1, r2, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(amps.reading, 0.003, 1e-5);
+    near(volts.reading, 6, 0.01); // 10MΩ barely loads the divider
+});
+
+test('ohmmeter measures a resistor with its test current', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 4700);
+    const meter = engine.addComponent('multimeter', 0, 0);
+    meter.mode = 'resistance';
+    engine.connect(meter, 0, r, 0);
+    engine.connect(meter, 1, r, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(meter.reading, 4700, 0.01);
+    assert.ok(!codes(engine).includes('floating'));
+
+    // Open leads: far beyond any range (the display shows OL)
+    engine.buildNetlist([]);
+    engine.solve();
+    assert.ok(meter.reading > 1e9);
+});
+
+test('ohmmeter on a powered circuit is flagged', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 100);
+    seriesLoop(engine, 9, [r]);
+    const meter = engine.addComponent('multimeter', 0, 0);
+    meter.mode = 'resistance';
+    engine.connect(meter, 0, r, 0);
+    engine.connect(meter, 1, r, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(codes(engine).includes('ohmmeter-powered'));
+});
+
+test('ammeter mode across a battery blows the meter fuse', () => {
+    const engine = new CircuitEngine();
+    const meter = engine.addComponent('multimeter', 0, 0);
+    meter.mode = 'current';
+    seriesLoop(engine, 9, [meter]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.strictEqual(meter.broken, true);
+    near(meter.reading, 0, 1e-6);
+
+    // The voltage range still works with a blown fuse
+    meter.mode = 'voltage';
+    engine.solve();
+    near(meter.reading, 9, 1e-3);
+});
+
+// --- Digital Logic ---
+
+const TRUTH = {
+    and: [0, 0, 0, 1],
+    or: [0, 1, 1, 1],
+    nand: [1, 1, 1, 0],
+    nor: [1, 0, 0, 0],
+    xor: [0, 1, 1, 0]
+};
+
+Object.keys(TRUTH).forEach(type => {
+    test(`${type.toUpperCase()} gate follows its truth table`, () => {
+        const engine = new CircuitEngine();
+        const a = engine.addComponent('logicinput', 0, 0);
+        const b = engine.addComponent('logicinput', 0, 0);
+        const gate = engine.addComponent(type, 0, 0);
+        const probe = engine.addComponent('logicprobe', 0, 0);
+        engine.connect(a, 0, gate, 0);
+        engine.connect(b, 0, gate, 1);
+        engine.connect(gate, 2, probe, 0);
+        engine.buildNetlist();
+
+        TRUTH[type].forEach((expected, row) => {
+            a.high = row >= 2;
+            b.high = row % 2 === 1;
+            engine.solve();
+            assert.strictEqual(probe.high, expected === 1, `row ${row}`);
+            near(probe.nodes[0].voltage, expected * 5, 0.01);
+        });
+    });
+});
+
+test('a battery and switch drive a gate that lights an LED', () => {
+    const engine = new CircuitEngine();
+    const sw = engine.addComponent('switch', 0, 0);
+    const not = engine.addComponent('not', 0, 0);
+    const led = engine.addComponent('led', 0, 0);
+    const pull = resistor(engine, 10000);
+    const bat = seriesLoop(engine, 5, [sw, pull]);
+    // Gate input between switch and pull-down; LED from the output back to the battery's -
+    engine.connect(sw, 1, not, 0);
+    engine.connect(not, 1, led, 0);
+    engine.connect(led, 1, bat, 1);
+    engine.buildNetlist();
+
+    sw.isOpen = true;
+    engine.solve();
+    assert.strictEqual(not.high, true);
+    near(led.current, (5 - 1.8) / 200, 1e-3);
+
+    sw.isOpen = false;
+    engine.solve();
+    assert.strictEqual(not.high, false);
+    near(led.current, 0, 1e-6);
+});
+
+test('a ring of NOT gates gives up instead of looping forever', () => {
+    const engine = new CircuitEngine();
+    const gates = [0, 1, 2].map(() => engine.addComponent('not', 0, 0));
+    gates.forEach((g, i) => engine.connect(g, 1, gates[(i + 1) % 3], 0));
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(engine.iterations < 100);
+});
+
+// --- Damage ---
+
+test('an overdriven bulb burns out and stays open', () => {
+    const engine = new CircuitEngine();
+    const bulb = engine.addComponent('bulb', 0, 0);
+    const bat = seriesLoop(engine, 15, [bulb]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.strictEqual(bulb.broken, true);
+    near(bulb.current, 0, 1e-6);
+    assert.ok(codes(engine).includes('broken'));
+
+    // Lowering the voltage does not bring it back; repairing does
+    bat.voltage = 9;
+    engine.solve();
+    near(bulb.current, 0, 1e-6);
+    bulb.broken = false;
+    engine.solve();
+    near(bulb.current, 0.18);
+});
+
+test('a resistor burns above its power rating', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 100);
+    r.maxPower = 0.25;
+    seriesLoop(engine, 9, [r]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.strictEqual(r.broken, true);
+});
+
+test('a fuse blows before the part it protects', () => {
+    const engine = new CircuitEngine();
+    const fuse = engine.addComponent('fuse', 0, 0);
+    fuse.maxCurrent = 0.1;
+    const bulb = engine.addComponent('bulb', 0, 0);
+    seriesLoop(engine, 15, [fuse, bulb]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.strictEqual(fuse.broken, true);
+    assert.strictEqual(bulb.broken, false);
+    near(bulb.current, 0, 1e-6);
+});
+
+// --- Transient ---
+
+test('RC circuit reaches 63% of the supply after one time constant', () => {
+    const engine = new CircuitEngine();
+    const cap = engine.addComponent('capacitor', 0, 0);
+    cap.capacitance = 1e-3;
+    seriesLoop(engine, 10, [resistor(engine, 1000), cap]);
+    engine.buildNetlist();
+
+    for (let i = 0; i < 100; i++) engine.solve(0.01); // 1 s = RC
+    near(voltageAcross(cap), 10 * (1 - Math.exp(-1)), 0.05);
+});
+
+// --- Kirchhoff Analysis ---
+
+test('currents into every node add up to zero', () => {
+    const engine = new CircuitEngine();
+    transistorSwitch(engine, 'npn', 100000);
+    engine.nodes.forEach(n => {
+        const kcl = engine.getNodeCurrents(n);
+        assert.ok(kcl.terms.length >= 2, n.id);
+        near(kcl.sum, 0, 1e-9);
+    });
+});
+
+test('the logic supply return closes KCL at the implicit 0V node', () => {
+    const engine = new CircuitEngine();
+    const a = engine.addComponent('logicinput', 0, 0);
+    const gate = engine.addComponent('not', 0, 0);
+    const led = engine.addComponent('led', 0, 0);
+    engine.connect(a, 0, gate, 0);
+    engine.connect(gate, 1, led, 0);
+    engine.buildNetlist();
+    engine.solve();
+
+    const ref = engine.nodes.find(n => n.isGND);
+    const kcl = engine.getNodeCurrents(ref);
+    assert.ok(kcl.terms.some(t => t.comp === null));
+    near(kcl.sum, 0, 1e-9);
+});
+
+test('voltage drops around a loop add up to zero', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 200);
+    const bat = seriesLoop(engine, 9, [r1, r2]);
+    engine.buildNetlist();
+    engine.solve();
+
+    const kvl = engine.getLoopVoltages(r1);
+    assert.deepStrictEqual(kvl.steps.map(s => s.comp), [r1, r2, bat]);
+    near(kvl.steps[0].drop, 3, 1e-6);
+    near(kvl.steps[2].drop, -9, 1e-6);
+    near(kvl.sum, 0, 1e-9);
+
+    // Energy balance: the battery delivers what the resistors absorb
+    near(getComponentPower(bat), -0.27, 1e-6);
+    near(getComponentPower(r1) + getComponentPower(r2), 0.27, 1e-6);
+});
+
+test('loop drops come from each part, so a stale solution fails KVL', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 330);
+    const led = engine.addComponent('led', 0, 0);
+    const bat = seriesLoop(engine, 9, [r, led]);
+    bat.resistance = 0.5;
+    engine.buildNetlist();
+    engine.solve();
+
+    const kvl = engine.getLoopVoltages(r);
+    assert.deepStrictEqual(kvl.steps.map(s => s.comp), [r, led, bat]);
+    near(kvl.steps[1].drop, voltageAcross(led), 1e-6);
+    near(kvl.sum, 0, 1e-6);
+
+    bat.voltage = 10; // Not solved again: the battery's own equation no longer matches the currents
+    near(engine.getLoopVoltages(r).sum, -1, 1e-6); // The extra volt of EMF is not dropped anywhere
+});
+
+test('a part with a loose terminal is in no loop', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 100);
+    const loose = resistor(engine, 100);
+    seriesLoop(engine, 9, [r]);
+    engine.connect(r, 1, loose, 0);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.strictEqual(engine.getLoopVoltages(loose), null);
+});
+
+// --- Energy ---
+
+test('sources deliver the power the loads absorb', () => {
+    const engine = new CircuitEngine();
+    const bulb = engine.addComponent('bulb', 0, 0);
+    const led = engine.addComponent('led', 0, 0);
+    seriesLoop(engine, 9, [resistor(engine, 330), bulb, led]);
+    engine.buildNetlist();
+    engine.solve();
+
+    const balance = engine.getEnergyBalance();
+    assert.ok(balance.sourcePower > 0);
+    near(balance.loadPower, balance.sourcePower, 1e-9);
+    near(bulb.power, bulb.current ** 2 * bulb.resistance, 1e-9);
+});
+
+test('energy adds up over time, stored or dissipated', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 100);
+    seriesLoop(engine, 10, [r]);
+    engine.buildNetlist();
+    engine.solve();
+    for (let i = 0; i < 60; i++) engine.accumulateEnergy(1 / 60);
+    near(r.energy, 1, 1e-9); // 1 W for 1 s
+
+    // RC charge: the battery delivers CV², half stored in the capacitor and half burnt in the resistor
+    const rc = new CircuitEngine();
+    const cap = rc.addComponent('capacitor', 0, 0);
+    cap.capacitance = 1e-3;
+    const bat = seriesLoop(rc, 10, [resistor(rc, 100), cap]);
+    rc.buildNetlist();
+    for (let i = 0; i < 200; i++) rc.solve(0.01); // 20 time constants
+    near(-bat.energy, 0.1, 0.005);
+    near(cap.energy, 0.05, 0.005);
+    const balance = rc.getEnergyBalance();
+    near(balance.loadEnergy, balance.sourceEnergy, 1e-6);
+});
+
+// --- Hidden Faults ---
+
+test('an open or drifted resistor changes the numbers, not the part', () => {
+    const engine = new CircuitEngine();
+    const r1 = resistor(engine, 100);
+    const r2 = resistor(engine, 100);
+    const bat = seriesLoop(engine, 9, [r1, r2]);
+    engine.buildNetlist();
+
+    r2.fault = 'drift';
+    engine.solve();
+    near(voltageAcross(r2), 9 * 10 / 11, 1e-6);
+    assert.strictEqual(r2.resistance, 100);
+
+    r2.fault = 'open';
+    engine.solve();
+    near(r1.current, 0, 1e-6);
+    assert.strictEqual(r2.broken, false);
+    assert.deepStrictEqual(engine.diagnostics, []);
+
+    // An open switch across the battery is no short circuit (and must not point at the fault)
+    const sw = engine.addComponent('switch', 0, 0);
+    sw.isOpen = false;
+    sw.fault = 'open';
+    engine.connect(bat, 0, sw, 0);
+    engine.connect(sw, 1, bat, 1);
+    engine.buildNetlist();
+    engine.solve();
+    assert.ok(Math.abs(sw.current) < 1e-6);
+    assert.deepStrictEqual(engine.diagnostics, []);
+});
+
+test('a dead battery reads its voltage open but sags under load', () => {
+    const engine = new CircuitEngine();
+    const meter = engine.addComponent('multimeter', 0, 0);
+    const sw = engine.addComponent('switch', 0, 0);
+    const bat = seriesLoop(engine, 9, [sw, engine.addComponent('bulb', 0, 0)]);
+    bat.fault = 'dead';
+    engine.connect(bat, 0, meter, 0);
+    engine.connect(bat, 1, meter, 1);
+    engine.buildNetlist();
+
+    engine.solve();
+    near(meter.reading, 9, 0.01);
+    sw.isOpen = false;
+    engine.solve();
+    assert.ok(meter.reading < 1);
+});
+
+test('a reversed LED blocks when it looks forward-biased', () => {
+    const engine = new CircuitEngine();
+    const led = engine.addComponent('led', 0, 0);
+    led.fault = 'reversed';
+    seriesLoop(engine, 5, [resistor(engine, 220), led]);
+    engine.buildNetlist();
+    engine.solve();
+
+    near(led.current, 0, 1e-6);
+    near(voltageAcross(led), 5, 1e-3);
+});
+
+test('an open wire breaks the loop without a loose-terminal warning', () => {
+    const engine = new CircuitEngine();
+    const r = resistor(engine, 100);
+    const bat = engine.addComponent('battery', 0, 0);
+    engine.connect(bat, 0, r, 0);
+    engine.connect(r, 1, bat, 1).fault = 'open';
+    engine.buildNetlist();
+    engine.solve();
+
+    near(r.current, 0, 1e-6);
+    assert.deepStrictEqual(engine.diagnostics, []);
+});
+
+// --- Diagnostics ---
+
+const codes = (engine) => engine.diagnostics.map(d => d.code);
+
+test('a healthy circuit has no diagnostics', () => {
+    const engine = new CircuitEngine();
+    seriesLoop(engine, 9, [resistor(engine, 100)]);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.deepStrictEqual(codes(engine), []);
+});
+
+test('battery shorted through a closed switch is reported', () => {
+    const engine = new CircuitEngine();
+    const sw = engine.addComponent('switch', 0, 0);
+    sw.isOpen = false;
+    const bat = seriesLoop(engine, 9, [sw]);
+    engine.buildNetlist();
+    engine.solve();
+
+    const short = engine.diagnostics.find(d => d.code === 'short-circuit');
+    assert.ok(short);
+    assert.deepStrictEqual(short.components, [bat, sw]);
+});
+
+test('batteries wired straight in parallel are reported', () => {
+    const engine = new CircuitEngine();
+    const b1 = engine.addComponent('battery', 0, 0);
+    const b2 = engine.addComponent('battery', 0, 0);
+    engine.connect(b1, 0, b2, 0);
+    engine.connect(b1, 1, b2, 1);
+    engine.buildNetlist();
+    engine.solve();
+    assert.ok(!codes(engine).includes('parallel-sources'), 'equal cells with internal resistance are fine');
+    assert.ok(!codes(engine).includes('circulating-current'));
+
+    b2.voltage = 5;
+    engine.solve();
+    assert.ok(codes(engine).includes('circulating-current'));
+    assert.ok(!codes(engine).includes('parallel-sources'));
+
+    b1.resistance = 0;
+    b2.resistance = 0;
+    engine.solve();
+    assert.ok(codes(engine).includes('parallel-sources'));
+});
+
+test('parts without a source and loose terminals are reported', () => {
+    const engine = new CircuitEngine();
+    seriesLoop(engine, 9, [resistor(engine, 100)]);
+    const lonely = engine.addComponent('bulb', 0, 0);
+    const meter = engine.addComponent('voltmeter', 0, 0);
+    engine.connect(meter, 0, engine.components[0], 0);
+    engine.buildNetlist();
+    engine.solve();
+
+    const floating = engine.diagnostics.find(d => d.code === 'floating');
+    const dangling = engine.diagnostics.find(d => d.code === 'dangling');
+    assert.deepStrictEqual(floating.components, [lonely]);
+    assert.deepStrictEqual(dangling.components, [meter]);
+});
+
+test('a single-throw SPDT and a rheostat are not loose', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    const spdt = engine.addComponent('spdt', 0, 0);
+    const pot = engine.addComponent('potentiometer', 0, 0);
+    const r = resistor(engine, 100);
+    // Battery -> common, T2 -> pot end A, wiper -> resistor -> battery: T1 and end B stay unused
+    engine.connect(bat, 0, spdt, 0);
+    engine.connect(spdt, 2, pot, 0);
+    engine.connect(pot, 2, r, 0);
+    engine.connect(r, 1, bat, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    assert.ok(r.current > 0);
+    assert.ok(!codes(engine).includes('dangling'));
+});
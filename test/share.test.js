@@ -0,0 +1,56 @@
+/**
+ * Share Link Tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { compactCircuit, expandCircuit, encodeCircuitLink, decodeCircuitLink, getLinkCode } = require('../share.js');
+
+const doc = {
+    format: 'simulador-circuitos',
+    version: 2,
+    components: [
+        { id: 7, type: 'battery', x: 100.4, y: 200, voltage: 9 },
+        { id: 12, type: 'resistor', x: 300, y: 200, resistance: 330, label: 'R1' }
+    ],
+    wires: [
+        { from: { id: 7, terminal: 0 }, to: { id: 12, terminal: 0 } },
+        { from: { id: 12, terminal: 1 }, to: { id: 7, terminal: 1 }, fault: 'open' },
+        { from: { id: 7, terminal: 1 }, to: { id: 12, terminal: 1 }, bends: [{ x: 100, y: 300 }, { x: 300, y: 300 }] }
+    ]
+};
+
+test('compact form keeps parts, properties, wires by index and their bends', () => {
+    const expanded = expandCircuit(compactCircuit(doc));
+    assert.strictEqual(expanded.version, 2);
+    assert.deepStrictEqual(expanded.components, [
+        { id: 0, type: 'battery', x: 100, y: 200, voltage: 9 },
+        { id: 1, type: 'resistor', x: 300, y: 200, resistance: 330, label: 'R1' }
+    ]);
+    assert.deepStrictEqual(expanded.wires, [
+        { from: { id: 0, terminal: 0 }, to: { id: 1, terminal: 0 } },
+        { from: { id: 1, terminal: 1 }, to: { id: 0, terminal: 1 }, fault: 'open' },
+        { from: { id: 0, terminal: 1 }, to: { id: 1, terminal: 1 }, bends: [{ x: 100, y: 300 }, { x: 300, y: 300 }] }
+    ]);
+});
+
+test('links survive the round trip and are URL-safe', async () => {
+    const code = await encodeCircuitLink(doc);
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.strictEqual(getLinkCode(`#c=${code}`), code);
+    assert.deepStrictEqual(await decodeCircuitLink(code), expandCircuit(compactCircuit(doc)));
+});
+
+test('broken links are rejected with a message', async () => {
+    assert.strictEqual(getLinkCode('#ayuda'), null);
+    await assert.rejects(decodeCircuitLink('bm90LWRlZmxhdGU'), /dañado/);
+
+    // Inflates fine, but is not JSON / not a compact circuit
+    const pack = (text) => zlib.deflateRawSync(Buffer.from(text)).toString('base64url');
+    await assert.rejects(decodeCircuitLink(pack('no es json')), /dañado/);
+    await assert.rejects(decodeCircuitLink(pack('[3, [1, 2], 5]')), /dañado/);
+    await assert.rejects(decodeCircuitLink(pack('[3, [], [7]]')), /dañado/);
+});
@@ -0,0 +1,181 @@
+/**
+ * SPICE Export / Import Tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitEngine } = require('../engine.js');
+const { parseSpiceValue, formatSpiceValue, exportSpiceNetlist, parseSpiceNetlist } = require('../spice.js');
+
+test('SPICE values understand scale suffixes and units', () => {
+    assert.strictEqual(parseSpiceValue('4.7k'), 4700);
+    assert.strictEqual(parseSpiceValue('1MEG'), 1e6);
+    assert.strictEqual(parseSpiceValue('2m'), 0.002);
+    assert.ok(Math.abs(parseSpiceValue('10uF') - 1e-5) < 1e-18);
+    assert.ok(Number.isNaN(parseSpiceValue('abc')));
+
+    assert.strictEqual(formatSpiceValue(4700), '4.7k');
+    assert.strictEqual(formatSpiceValue(0.001), '1m');
+});
+
+test('export writes every part with engine node names and ground as 0', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.resistance = 0; // Ideal source: a single V line
+    const r = engine.addComponent('resistor', 0, 0);
+    const led = engine.addComponent('led', 0, 0);
+    led.color = 'green';
+    engine.connect(bat, 0, r, 0);
+    engine.connect(r, 1, led, 0);
+    engine.connect(led, 1, bat, 1);
+    engine.buildNetlist();
+
+    const text = exportSpiceNetlist(engine);
+    const top = r.nodes[0].id;
+    const mid = r.nodes[1].id;
+    assert.match(text, new RegExp(`^V1 ${top} 0 DC 9$`, 'm'));
+    assert.match(text, new RegExp(`^R1 ${top} ${mid} 100$`, 'm'));
+    assert.match(text, new RegExp(`^D1 ${mid} 0 LED_GREEN$`, 'm'));
+    assert.match(text, /^\.model LED_GREEN D\(/m);
+    assert.match(text, /^\.end$/m);
+});
+
+test('battery internal resistance is exported in series', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    const r = engine.addComponent('resistor', 0, 0);
+    engine.connect(bat, 0, r, 0);
+    engine.connect(r, 1, bat, 1);
+    engine.buildNetlist();
+
+    const text = exportSpiceNetlist(engine);
+    assert.match(text, /^V1 V1_int 0 DC 9$/m);
+    assert.match(text, new RegExp(`^RV1 ${bat.nodes[0].id} V1_int 100m$`, 'm'));
+});
+
+test('multimeter exports the network of its current mode', () => {
+    const engine = new CircuitEngine();
+    const r = engine.addComponent('resistor', 0, 0);
+    const meter = engine.addComponent('multimeter', 0, 0);
+    meter.mode = 'resistance';
+    engine.connect(meter, 0, r, 0);
+    engine.connect(r, 1, meter, 1);
+    engine.buildNetlist();
+
+    const name = (n) => (n.isGND ? '0' : n.id);
+    const red = name(meter.nodes[0]);
+    const com = name(meter.nodes[1]);
+    let text = exportSpiceNetlist(engine);
+    assert.match(text, new RegExp(`^I1 ${com} ${red} DC 1m$`, 'm'));
+    assert.match(text, new RegExp(`^R2 ${red} ${com} 3k$`, 'm'));
+
+    meter.mode = 'voltage';
+    text = exportSpiceNetlist(engine);
+    assert.match(text, new RegExp(`^R2 ${red} ${com} 10MEG$`, 'm'));
+
+    // A blown fuse only opens the current range
+    meter.broken = true;
+    text = exportSpiceNetlist(engine);
+    assert.match(text, new RegExp(`^R2 ${red} ${com} 10MEG$`, 'm'));
+    meter.mode = 'current';
+    text = exportSpiceNetlist(engine);
+    assert.match(text, new RegExp(`^R2 ${red} ${com} 1G$`, 'm'));
+});
+
+test('import builds components and chains the wires of each node', () => {
+    const parsed = parseSpiceNetlist([
+        'Divider',
+        'V1 in 0 DC 12',
+        'R1 in out 1k',
+        'R2 out gnd',
+        '+ 2k',
+        'X1 a b sub',
+        '.end'
+    ].join('\n'));
+
+    const types = parsed.components.map(c => c.type);
+    assert.deepStrictEqual(types, ['battery', 'resistor', 'resistor', 'ground']);
+    assert.strictEqual(parsed.components[2].resistance, 2000);
+    assert.deepStrictEqual(parsed.skipped, ['X1 a b sub']);
+
+    // Node 0: ground + V1(-) + R2(1) -> 2 wires; "in" and "out" -> 1 wire each
+    assert.strictEqual(parsed.wires.length, 4);
+});
+
+test('a repeated element name is skipped instead of sharing an id', () => {
+    const parsed = parseSpiceNetlist('Twins\nV1 a 0 5\nR1 a 0 1k\nr1 a b 2k\n');
+    assert.deepStrictEqual(parsed.components.map(c => c.id), ['spice_V1', 'spice_R1', 'spice_gnd']);
+    assert.deepStrictEqual(parsed.skipped, ['r1 a b 2k']);
+});
+
+test('a battery round trip keeps its internal resistance once', () => {
+    const engine = new CircuitEngine();
+    const bat = engine.addComponent('battery', 0, 0);
+    bat.resistance = 50;
+    const r = engine.addComponent('resistor', 0, 0);
+    r.resistance = 400;
+    engine.connect(bat, 0, r, 0);
+    engine.connect(r, 1, bat, 1);
+    engine.buildNetlist();
+    engine.solve();
+
+    const parsed = parseSpiceNetlist(exportSpiceNetlist(engine));
+    const copy = new CircuitEngine();
+    const byId = new Map();
+    parsed.components.forEach(data => {
+        const comp = copy.addComponent(data.type, 0, 0);
+        Object.assign(comp, data, { id: comp.id });
+        byId.set(data.id, comp);
+    });
+    parsed.wires.forEach(w => copy.connect(byId.get(w.from.id), w.from.terminal, byId.get(w.to.id), w.to.terminal));
+    copy.buildNetlist();
+    copy.solve();
+
+    assert.ok(Math.abs(Math.abs(r.current) - 0.02) < 1e-6); // 9 V over 50 + 400 Ω
+    const load = copy.components.find(c => c.type === 'resistor' && c.resistance === 400);
+    assert.ok(Math.abs(Math.abs(load.current) - Math.abs(r.current)) < 1e-6);
+    assert.strictEqual(copy.components.find(c => c.type === 'battery').resistance, 0);
+});
+
+test('imported netlist solves to the same answer', () => {
+    const parsed = parseSpiceNetlist('Divider\nV1 in 0 12\nR1 in out 1k\nR2 out 0 2k\n');
+    const engine = new CircuitEngine();
+    const byId = new Map();
+    parsed.components.forEach(data => {
+        const comp = engine.addComponent(data.type, 0, 0);
+        Object.assign(comp, data, { id: comp.id });
+        byId.set(data.id, comp);
+    });
+    parsed.wires.forEach(w => engine.connect(byId.get(w.from.id), w.from.terminal, byId.get(w.to.id), w.to.terminal));
+    engine.buildNetlist();
+    engine.solve();
+
+    const r2 = byId.get('spice_R2');
+    assert.ok(Math.abs(r2.nodes[0].voltage - r2.nodes[1].voltage - 8) < 1e-3);
+});
+
+test('transistors keep their terminal order through export and import', () => {
+    const engine = new CircuitEngine();
+    const q = engine.addComponent('pnp', 0, 0);
+    q.beta = 150;
+    const m = engine.addComponent('nmos', 0, 0);
+    m.vth = 0; // Depletion-edge part: a zero threshold must survive the round trip
+    m.kp = 0.5;
+    engine.buildNetlist();
+
+    const text = exportSpiceNetlist(engine);
+    const [c, e, b] = q.nodes.map(n => (n.isGND ? '0' : n.id));
+    assert.match(text, new RegExp(`^Q1 ${c} ${b} ${e} QPNP_B150$`, 'm'));
+    assert.match(text, /^\.model QPNP_B150 PNP\(IS=1e-14 BF=150 BR=1\)$/m);
+
+    const parsed = parseSpiceNetlist(text);
+    assert.deepStrictEqual(parsed.components.map(p => p.type), ['pnp', 'nmos', 'ground']);
+    assert.strictEqual(parsed.components[0].beta, 150);
+    assert.strictEqual(parsed.components[1].vth, 0);
+    assert.strictEqual(parsed.components[1].kp, 0.5);
+    // Only the two automatic references (node 0) are shared: ground + Q1 + M1 drain
+    assert.strictEqual(parsed.wires.length, 2);
+    assert.deepStrictEqual(parsed.skipped, []);
+});
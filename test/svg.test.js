@@ -0,0 +1,59 @@
+/**
+ * SVG Context Tests
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SvgContext, parseCanvasFont } = require('../svg.js');
+
+test('paths follow translate, rotate and save / restore', () => {
+    const ctx = new SvgContext();
+    ctx.save();
+    ctx.translate(100, 50);
+    ctx.rotate(Math.PI / 2);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+    ctx.fillRect(0, 0, 5, 5);
+
+    assert.match(ctx.elements[0], /d="M100 50 L100 60"/);
+    assert.match(ctx.elements[0], /stroke-width="2"/);
+    assert.match(ctx.elements[1], /d="M0 0 L5 0 L5 5 L0 5 Z" fill="#000"/);
+    assert.strictEqual(ctx.lineWidth, 1);
+});
+
+test('arcs keep their size under scale and full circles close', () => {
+    const ctx = new SvgContext();
+    ctx.scale(2, 2);
+    ctx.beginPath();
+    ctx.arc(10, 10, 5, 0, Math.PI * 2);
+    ctx.fill();
+    assert.match(ctx.elements[0], /^<path d="M30 20 A10 10 0 0 1 10 20 A10 10 0 0 1 30 20"/);
+
+    ctx.beginPath();
+    ctx.arc(0, 0, 5, 0, Math.PI * 1.5);
+    ctx.stroke();
+    assert.match(ctx.elements[1], /A10 10 0 1 1 0 -10"/);
+});
+
+test('text keeps font, alignment and rotation and is escaped', () => {
+    assert.deepStrictEqual(parseCanvasFont('bold 12px monospace'), { size: 12, weight: 'bold', family: 'monospace' });
+
+    const ctx = new SvgContext();
+    ctx.translate(20, 20);
+    ctx.rotate(-Math.PI / 2);
+    ctx.font = 'bold 12px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('R<1> & 2', 0, 0);
+    const svg = ctx.toSVG(40, 40);
+
+    assert.match(svg, /<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="40" height="40"/);
+    assert.match(svg, /text-anchor="middle" dominant-baseline="central"/);
+    assert.match(svg, /transform="rotate\(-90 20 20\)">R&lt;1&gt; &amp; 2<\/text>/);
+});